@@ -3,31 +3,160 @@ import Tesseract from "tesseract.js";
 
 // ─── Constants ──────────────────────────────────────────────
 const uid = () => Math.random().toString(36).slice(2, 9);
-const QUARTERS = ["q1", "q2", "q3", "q4"];
-const Q_LABELS = { q1: "Q1", q2: "Halftime", q3: "Q3", q4: "Final" };
+// Periods are stored as q1…q4 whatever the sport calls them; a sport uses
+// the first `periods` of them, the last being the final.
+const PERIOD_KEYS = ["q1", "q2", "q3", "q4"];
+const OT = "ot";
+// Pools that re-draw their numbers keep an axis set for each of these
+const AXIS_PERIODS = [...PERIOD_KEYS, OT];
 const POOL_TYPES = [
   { key: "quarters", label: "Quarters", desc: "Winner at end of each quarter" },
   { key: "half_final", label: "Half & Final", desc: "Winner at halftime and final only" },
   { key: "every_score", label: "Every Score", desc: "Winner on every score change" },
   { key: "minute", label: "Minute by Minute", desc: "Winner checked every minute" },
 ];
+// Secondary prizes paid around each main winner: the square with the digits
+// reversed and the squares touching it (four sides or all eight).
+const SIDE_PRIZES = { reverse: false, reverseAmount: "", neighbors: 0, neighborAmount: "" };
+const SIDE_PRIZE_LABELS = { reverse: "Reverse", neighbor: "Touching" };
+const NEIGHBOR_STEPS = {
+  4: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+  8: [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]],
+};
+// Keyed by the sport's period count; the first preset is the default
+const PAYOUT_PRESETS = {
+  4: [
+    { label: "25/25/25/25", periods: { q1: 25, q2: 25, q3: 25, q4: 25 } },
+    { label: "20/30/20/30", periods: { q1: 20, q2: 30, q3: 20, q4: 30 } },
+    { label: "10/20/20/50", periods: { q1: 10, q2: 20, q3: 20, q4: 50 } },
+    { label: "Half 50/50", periods: { q1: 0, q2: 50, q3: 0, q4: 50 } },
+  ],
+  3: [
+    { label: "33/33/34", periods: { q1: 33, q2: 33, q3: 34 } },
+    { label: "25/25/50", periods: { q1: 25, q2: 25, q3: 50 } },
+    { label: "20/30/50", periods: { q1: 20, q2: 30, q3: 50 } },
+  ],
+  2: [
+    { label: "50/50", periods: { q1: 50, q2: 50 } },
+    { label: "40/60", periods: { q1: 40, q2: 60 } },
+    { label: "30/70", periods: { q1: 30, q2: 70 } },
+  ],
+};
+// Grids are rows × cols; smaller grids put several score digits in each
+// axis header (a 5x5 header holds two).
+const GRID = { size: 10, min: 2, max: 10 };
+const GRID_PRESETS = [
+  { label: "10 × 10", rows: 10, cols: 10 },
+  { label: "5 × 5", rows: 5, cols: 5 },
+];
+// Approximate share of NFL team scores ending in each digit (0–9) at the end
+// of each period, used as the prior before kickoff.
+const DIGIT_FREQUENCIES = {
+  q1: [0.42, 0.02, 0.01, 0.17, 0.03, 0.01, 0.05, 0.24, 0.02, 0.03],
+  q2: [0.22, 0.05, 0.02, 0.16, 0.10, 0.03, 0.08, 0.20, 0.05, 0.09],
+  q3: [0.19, 0.07, 0.03, 0.14, 0.12, 0.04, 0.07, 0.18, 0.07, 0.09],
+  q4: [0.20, 0.10, 0.03, 0.14, 0.12, 0.04, 0.08, 0.16, 0.07, 0.06],
+};
+// Live model: scoring plays per team arrive at a steady rate (about 4.5 a
+// game in the NFL) and are worth these points with these odds.
+const FOOTBALL_PLAYS = [
+  { points: 7, p: 0.52 },
+  { points: 3, p: 0.36 },
+  { points: 6, p: 0.06 },
+  { points: 8, p: 0.03 },
+  { points: 2, p: 0.03 },
+];
+const BASKETBALL_PLAYS = [
+  { points: 2, p: 0.58 },
+  { points: 3, p: 0.27 },
+  { points: 1, p: 0.15 },
+];
+// Sports a pool can follow, with their ESPN scoreboard path (plus any query
+// the scoreboard needs to list every game, not just ranked ones), period
+// model and scoring model. Pools without a sport are NFL.
+const SPORTS = {
+  nfl: {
+    label: "NFL", path: "football/nfl",
+    periods: 4, periodMinutes: 15, unit: "quarter", units: "Quarters", short: "Q",
+    scoring: { playsPerMinute: 0.075, plays: FOOTBALL_PLAYS },
+    digits: DIGIT_FREQUENCIES,
+  },
+  "college-football": {
+    label: "College Football", path: "football/college-football", query: "groups=80",
+    periods: 4, periodMinutes: 15, unit: "quarter", units: "Quarters", short: "Q",
+    scoring: { playsPerMinute: 0.09, plays: FOOTBALL_PLAYS },
+  },
+  nba: {
+    label: "NBA", path: "basketball/nba", seasonEndsYear: true,
+    periods: 4, periodMinutes: 12, unit: "quarter", units: "Quarters", short: "Q",
+    scoring: { playsPerMinute: 1.1, plays: BASKETBALL_PLAYS },
+  },
+  "mens-college-basketball": {
+    label: "College Basketball", path: "basketball/mens-college-basketball", query: "groups=50", seasonEndsYear: true,
+    periods: 2, periodMinutes: 20, unit: "half", units: "Halves", short: "H",
+    scoring: { playsPerMinute: 0.85, plays: BASKETBALL_PLAYS },
+  },
+  nhl: {
+    label: "NHL", path: "hockey/nhl", seasonEndsYear: true,
+    periods: 3, periodMinutes: 20, unit: "period", units: "Periods", short: "P", shootout: true,
+    scoring: { playsPerMinute: 0.05, plays: [{ points: 1, p: 1 }] },
+  },
+};
+const DEFAULT_SPORT = "nfl";
 const BRAND = {
   name: "Pixel Loft Studio",
   url: "https://pixelloft.studio",
   logo: "/PixelLoftStudioLogo.png",
 };
 const APP_VERSION = typeof __APP_VERSION__ !== "undefined" ? __APP_VERSION__ : "dev";
+// Self-hosted Tesseract worker/core (see vite.config.js) so the service
+// worker can cache them for offline OCR
+const OCR_ASSETS = typeof __OCR_ASSETS__ !== "undefined" ? __OCR_ASSETS__ : null;
 const DB = {
   name: "sb-squares",
-  version: 1,
+  version: 2,
   store: "kv",
+  poolStore: "pools",
+  photoStore: "photos",
   poolsKey: "pools",
+  orderKey: "poolOrder",
+};
+const POLL = {
+  liveMs: 15000,
+  idleMs: 5 * 60 * 1000,
+  maxBackoffMs: 5 * 60 * 1000,
+  hiddenMs: 60 * 1000,
+};
+const BACKUP = {
+  format: "sb-squares-backup",
+  version: 1,
+};
+const SHARE = {
+  hashKey: "share",
+  version: 1,
+};
+// Tapping a win notification opens its pool (see notificationclick in sw.js)
+const NOTIFY = {
+  hashKey: "pool",
+  openMessage: "open-pool",
 };
 const OCR = {
   minConfidence: 40,
   stripRatio: 0.22,
   gridMinConfidence: 30,
   gridMinSymbols: 3,
+  ownerMinConfidence: 45,
+  cellInset: 0.08,
+  reviewConfidence: 70,
+};
+// Grid-line detection. Lengths are fractions of the scanned image's side.
+const GRID_LINES = {
+  maxDim: 1400,
+  minRun: 0.04,
+  maxGap: 2,
+  minStrength: 0.4,
+  minGap: 0.01,
+  maxCellRatio: 2.5,
 };
 const A4 = {
   ratio: 1.414,
@@ -35,6 +164,15 @@ const A4 = {
   maxWidth: 520,
 };
 const LANDSCAPE_RATIO = 1 / A4.ratio;
+// Straightened photos keep room around the grid for the axis numbers: more
+// on the top/left where headers sit, a little on the far edges.
+const PERSPECTIVE = {
+  leadMargin: 0.3,
+  trailMargin: 0.06,
+  maxSide: 1600,
+  quality: 0.92,
+  rowsPerSlice: 64,
+};
 
 const C = {
   bg: "#0f172a", card: "#1e293b", accent: "#3b82f6", accentDark: "#2563eb",
@@ -42,6 +180,7 @@ const C = {
   text: "#f8fafc", textDim: "#94a3b8", textMuted: "#64748b", border: "#334155",
   mine: "rgba(59,130,246,0.3)", mineBorder: "#3b82f6",
   winner: "rgba(234,179,8,0.35)", winnerBorder: "#eab308",
+  side: "rgba(249,115,22,0.22)", sideBorder: "#f97316",
 };
 
 const inputStyle = {
@@ -59,44 +198,124 @@ const parseMoney = (val) => {
   if (Number.isNaN(n)) return "";
   return Math.max(0, n);
 };
+// Inputs keep what was typed ("2." mid-entry); parseMoney runs on save
+const cleanMoney = (val) => (val || "").replace(/[^\d.]/g, "").replace(/(\..*)\./g, "$1");
+const parsePayout = (payout) => ({
+  ...payout,
+  periods: Object.fromEntries(Object.entries(payout.periods || {}).map(([q, v]) => [q, parseMoney(v)])),
+  perScore: parseMoney(payout.perScore),
+  houseCut: parseMoney(payout.houseCut),
+  charity: parseMoney(payout.charity),
+});
+
+// Each entry upgrades the database from the previous version. They run in
+// order inside the versionchange transaction, so a user several versions
+// behind walks through every step.
+const DB_MIGRATIONS = {
+  1: (db) => {
+    if (!db.objectStoreNames.contains(DB.store)) db.createObjectStore(DB.store);
+  },
+  // v2: one record per pool, photos split into their own store
+  2: (db, tx) => {
+    if (!db.objectStoreNames.contains(DB.poolStore)) db.createObjectStore(DB.poolStore, { keyPath: "id" });
+    if (!db.objectStoreNames.contains(DB.photoStore)) db.createObjectStore(DB.photoStore);
+    const kv = tx.objectStore(DB.store);
+    const req = kv.get(DB.poolsKey);
+    req.onsuccess = () => {
+      const saved = (Array.isArray(req.result) ? req.result : []).filter((p) => p && p.id);
+      const pools = tx.objectStore(DB.poolStore);
+      const photos = tx.objectStore(DB.photoStore);
+      saved.forEach(({ photo, ...record }) => {
+        pools.put(record);
+        if (photo) photos.put(photo, record.id);
+      });
+      kv.put(saved.map((p) => p.id), DB.orderKey);
+      kv.delete(DB.poolsKey);
+    };
+  },
+};
+
+let dbPromise = null;
 
 function openDB() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
     if (!("indexedDB" in window)) {
       reject(new Error("IndexedDB not supported"));
       return;
     }
     const req = window.indexedDB.open(DB.name, DB.version);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(DB.store)) {
-        db.createObjectStore(DB.store);
+    req.onupgradeneeded = (event) => {
+      for (let v = event.oldVersion + 1; v <= DB.version; v++) {
+        DB_MIGRATIONS[v]?.(req.result, req.transaction);
       }
     };
-    req.onsuccess = () => resolve(req.result);
+    req.onsuccess = () => {
+      const db = req.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
     req.onerror = () => reject(req.error || new Error("IndexedDB open failed"));
   });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
 }
 
-async function idbGet(key) {
+async function idbLoadPools() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(DB.store, "readonly");
-    const store = tx.objectStore(DB.store);
-    const req = store.get(key);
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error || new Error("IndexedDB get failed"));
+    const tx = db.transaction([DB.store, DB.poolStore, DB.photoStore], "readonly");
+    const records = tx.objectStore(DB.poolStore).getAll();
+    const photoIds = tx.objectStore(DB.photoStore).getAllKeys();
+    const photos = tx.objectStore(DB.photoStore).getAll();
+    const order = tx.objectStore(DB.store).get(DB.orderKey);
+    tx.oncomplete = () => {
+      const photoById = new Map(photoIds.result.map((id, i) => [id, photos.result[i]]));
+      const rank = new Map((order.result || []).map((id, i) => [id, i]));
+      const pools = records.result
+        .map((record) => ({ ...record, photo: photoById.get(record.id) || null }))
+        .sort((a, b) => (rank.get(a.id) ?? rank.size) - (rank.get(b.id) ?? rank.size));
+      resolve(pools);
+    };
+    tx.onerror = () => reject(tx.error || new Error("IndexedDB load failed"));
   });
 }
 
-async function idbSet(key, value) {
+// Write only what changed between two snapshots of the pools array: pools
+// whose object changed, photos whose data URL changed, deletions, and the
+// display order when ids were added, removed or moved.
+async function idbSavePoolChanges(prev, next) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(DB.store, "readwrite");
-    const store = tx.objectStore(DB.store);
-    const req = store.put(value, key);
-    req.onsuccess = () => resolve(true);
-    req.onerror = () => reject(req.error || new Error("IndexedDB set failed"));
+    const tx = db.transaction([DB.store, DB.poolStore, DB.photoStore], "readwrite");
+    const poolStore = tx.objectStore(DB.poolStore);
+    const photoStore = tx.objectStore(DB.photoStore);
+    const before = new Map(prev.map((p) => [p.id, p]));
+    next.forEach((pool) => {
+      const old = before.get(pool.id);
+      if (old === pool) return;
+      const { photo, ...record } = pool;
+      poolStore.put(record);
+      if (old && old.photo === photo) return;
+      if (photo) photoStore.put(photo, pool.id);
+      else photoStore.delete(pool.id);
+    });
+    const ids = next.map((p) => p.id);
+    const kept = new Set(ids);
+    prev.forEach((p) => {
+      if (kept.has(p.id)) return;
+      poolStore.delete(p.id);
+      photoStore.delete(p.id);
+    });
+    if (prev.map((p) => p.id).join(",") !== ids.join(",")) {
+      tx.objectStore(DB.store).put(ids, DB.orderKey);
+    }
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error || new Error("IndexedDB save failed"));
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB save aborted"));
   });
 }
 
@@ -120,6 +339,22 @@ function calcGridRect(displayRect, naturalSize, gridBounds) {
   };
 }
 
+// Cell boundaries as fractions 0..1 across the grid rect. Grid-line
+// detection stores measured ones on gridBounds; otherwise cells are even.
+function gridEdges(gridBounds, count, axis) {
+  const edges = axis === "x" ? gridBounds?.colEdges : gridBounds?.rowEdges;
+  if (Array.isArray(edges) && edges.length === count + 1) return edges;
+  return Array.from({ length: count + 1 }, (_, i) => i / count);
+}
+
+// Drop measured edges, e.g. when the grid size changes
+const evenCells = ({ colEdges, rowEdges, ...bounds }) => bounds;
+
+const edgeTemplate = (edges) => edges.slice(1).map((e, i) => `${(e - edges[i]).toFixed(4)}fr`).join(" ");
+
+// Index of the cell holding `frac`, or -1 outside the grid
+const edgeSlot = (edges, frac) => edges.findIndex((e, i) => frac >= e && frac < edges[i + 1]);
+
 function preprocessCanvas(canvas) {
   const ctx = canvas.getContext("2d");
   if (!ctx) return;
@@ -164,31 +399,116 @@ function preprocessCanvas(canvas) {
   ctx.putImageData(imgData, 0, 0);
 }
 
-async function ocrStrip(canvas, rect) {
+// Point Tesseract at our own origin instead of its CDN defaults. A plain
+// (non-blob) worker stays under the service worker's control.
+function ocrWorkerOptions() {
+  if (!OCR_ASSETS) return {};
+  const abs = (p) => new URL(p, window.location.origin).href;
+  return {
+    workerPath: abs(OCR_ASSETS.workerPath),
+    corePath: abs(OCR_ASSETS.corePath),
+    langPath: OCR_ASSETS.langPath,
+    workerBlobURL: false,
+  };
+}
+
+// ─── OCR Worker ────────────────────────────────────────────
+// One Tesseract worker is created on first use and shared by every scan.
+// Jobs run one at a time through the queue; cancelOcr() terminates the
+// worker and rejects whatever is running or waiting.
+const OCR_CANCELLED = "Detection cancelled";
+const isOcrCancelled = (err) => err?.message === OCR_CANCELLED;
+
+let ocrWorker = null;
+let ocrQueue = Promise.resolve();
+let ocrProgress = null;
+let ocrCancel = createCancelSignal();
+
+function createCancelSignal() {
+  const signal = { cancelled: false };
+  signal.promise = new Promise((_, reject) => {
+    signal.cancel = () => {
+      signal.cancelled = true;
+      reject(new Error(OCR_CANCELLED));
+    };
+  });
+  signal.promise.catch(() => {});
+  return signal;
+}
+
+function getOcrWorker() {
+  if (!ocrWorker) {
+    const pending = Tesseract.createWorker("eng", 1, {
+      ...ocrWorkerOptions(),
+      logger: (m) => {
+        if (m.status === "recognizing text") ocrProgress?.(m.progress || 0);
+      },
+    });
+    pending.catch(() => { if (ocrWorker === pending) ocrWorker = null; });
+    ocrWorker = pending;
+  }
+  return ocrWorker;
+}
+
+function cancelOcr() {
+  const worker = ocrWorker;
+  ocrWorker = null;
+  ocrCancel.cancel();
+  ocrCancel = createCancelSignal();
+  worker?.then((w) => w.terminate()).catch(() => {});
+}
+
+// Queue one recognize pass. `params` are Tesseract parameters for this pass;
+// onProgress gets 0..1 while it runs.
+function runOcr(image, params, { rectangle, onProgress } = {}) {
+  const signal = ocrCancel;
+  const job = ocrQueue.then(() => signal.cancelled ? signal.promise : Promise.race([signal.promise, (async () => {
+    const worker = await getOcrWorker();
+    await worker.setParameters(params);
+    ocrProgress = onProgress || null;
+    try {
+      const { data } = await worker.recognize(image, rectangle ? { rectangle } : {}, { text: true, blocks: true });
+      return data;
+    } finally {
+      ocrProgress = null;
+    }
+  })()]));
+  ocrQueue = job.catch(() => {});
+  return job;
+}
+
+const ocrWords = (data) => (data?.blocks || [])
+  .flatMap((b) => b.paragraphs).flatMap((p) => p.lines).flatMap((l) => l.words);
+const ocrSymbols = (data) => ocrWords(data).flatMap((w) => w.symbols);
+
+// Split one progress callback across `total` sequential passes
+const ocrPassProgress = (onProgress, pass, total) => (p) => onProgress?.(Math.min(1, (pass + p) / total));
+
+async function ocrStrip(canvas, rect, onProgress) {
   const ctx = canvas.getContext("2d");
   canvas.width = Math.max(1, Math.floor(rect.w));
   canvas.height = Math.max(1, Math.floor(rect.h));
   ctx.drawImage(rect.img, rect.x, rect.y, rect.w, rect.h, 0, 0, canvas.width, canvas.height);
   preprocessCanvas(canvas);
-  const result = await Tesseract.recognize(canvas, "eng", {
+  const data = await runOcr(canvas, {
     tessedit_char_whitelist: "0123456789",
     tessedit_pageseg_mode: "6",
-  });
-  return result?.data?.symbols || [];
+  }, { onProgress });
+  return ocrSymbols(data);
 }
 
-async function recognizeDigits(canvas, psm) {
-  const result = await Tesseract.recognize(canvas, "eng", {
+async function recognizeDigits(canvas, psm, onProgress) {
+  const data = await runOcr(canvas, {
     tessedit_char_whitelist: "0123456789",
     tessedit_pageseg_mode: String(psm),
-  });
-  const symbols = (result?.data?.symbols || []).filter((s) => {
+  }, { onProgress });
+  const symbols = ocrSymbols(data).filter((s) => {
     if (!s || !s.text || s.text.length !== 1) return false;
     if (!/^[0-9]$/.test(s.text)) return false;
     return (s.confidence || 0) >= OCR.gridMinConfidence;
   });
   if (symbols.length > 0) return symbols;
-  const words = (result?.data?.words || []).flatMap((w) => {
+  const words = ocrWords(data).flatMap((w) => {
     if (!w || !w.text) return [];
     const digits = w.text.replace(/\D/g, "").split("");
     return digits.map((d, i) => ({
@@ -213,8 +533,8 @@ function offsetSymbols(symbols, offsetX, offsetY) {
   }));
 }
 
-function pickDigitsFromSymbols(symbols, axis, gridRect) {
-  const slots = Array(10).fill(null);
+function pickDigitsFromSymbols(symbols, axis, gridRect, count = GRID.size, edges = gridEdges(null, count)) {
+  const slots = Array.from({ length: count }, () => new Map());
   const axisStart = axis === "x" ? gridRect.x : gridRect.y;
   const axisSize = axis === "x" ? gridRect.w : gridRect.h;
 
@@ -226,48 +546,254 @@ function pickDigitsFromSymbols(symbols, axis, gridRect) {
     const centerX = (bbox.x0 + bbox.x1) / 2;
     const centerY = (bbox.y0 + bbox.y1) / 2;
     const center = axis === "x" ? centerX : centerY;
-    const slot = Math.floor(((center - axisStart) / axisSize) * 10);
-    if (slot < 0 || slot > 9) return;
-    const current = slots[slot];
+    const slot = edgeSlot(edges, (center - axisStart) / axisSize);
+    if (slot < 0 || slot >= count) return;
+    const digit = parseInt(s.text, 10);
+    const current = slots[slot].get(digit);
     if (!current || (s.confidence || 0) > current.confidence) {
-      slots[slot] = { digit: parseInt(s.text, 10), confidence: s.confidence || 0 };
+      slots[slot].set(digit, { digit, confidence: s.confidence || 0, x: centerX });
     }
   });
 
-  return slots.map((s) => (s ? s.digit : null));
+  // Keep the most confident digits each header can hold, in reading order.
+  // A header's confidence is that of its weakest digit.
+  const maxDigits = digitsPerHeader(count);
+  const picked = slots.map((found) => [...found.values()].sort((a, b) => b.confidence - a.confidence).slice(0, maxDigits));
+  return {
+    headers: picked.map((best) => toHeader(best.sort((a, b) => a.x - b.x).map((d) => d.digit))),
+    confidence: picked.map((best) => (best.length ? Math.min(...best.map((d) => d.confidence)) : null)),
+  };
 }
 
-async function detectAxisNumbers(photo, gridBounds, displayRect) {
+// Sheets that re-draw numbers each quarter stack one band of headers per
+// period outward from the grid. Pass `layer` to read a single band (0 is the
+// one touching the grid); without it the whole header strip is read.
+async function detectAxisNumbers(photo, gridBounds, displayRect, gridSize, layer, onProgress) {
   const img = await loadImage(photo);
   const natural = { width: img.naturalWidth, height: img.naturalHeight };
   const grid = calcGridRect(displayRect, natural, gridBounds);
   const strip = Math.min(grid.w, grid.h) * OCR.stripRatio;
 
-  const topStrip = {
+  let topStrip = {
     img,
     x: grid.x,
     y: Math.max(0, grid.y - strip),
     w: grid.w,
     h: strip + Math.min(strip * 0.2, grid.y),
   };
-  const leftStrip = {
+  let leftStrip = {
     img,
     x: Math.max(0, grid.x - strip),
     y: grid.y,
     w: strip + Math.min(strip * 0.2, grid.x),
     h: grid.h,
   };
+  if (layer != null) {
+    const bandH = grid.h / gridSize.rows;
+    const bandW = grid.w / gridSize.cols;
+    const top = grid.y - bandH * (layer + 1);
+    const left = grid.x - bandW * (layer + 1);
+    if (top < 0 || left < 0) throw new Error("That band of numbers is outside the photo");
+    topStrip = { img, x: grid.x, y: top, w: grid.w, h: bandH };
+    leftStrip = { img, x: left, y: grid.y, w: bandW, h: grid.h };
+  }
+
+  const canvas = document.createElement("canvas");
+  const topSymbols = offsetSymbols(
+    await ocrStrip(canvas, topStrip, ocrPassProgress(onProgress, 0, 2)), topStrip.x, topStrip.y);
+  const leftSymbols = offsetSymbols(
+    await ocrStrip(canvas, leftStrip, ocrPassProgress(onProgress, 1, 2)), leftStrip.x, leftStrip.y);
+
+  const cols = pickDigitsFromSymbols(topSymbols, "x", grid, gridSize.cols, gridEdges(gridBounds, gridSize.cols, "x"));
+  const rows = pickDigitsFromSymbols(leftSymbols, "y", grid, gridSize.rows, gridEdges(gridBounds, gridSize.rows, "y"));
+  return {
+    colNumbers: cols.headers,
+    rowNumbers: rows.headers,
+    confidence: { colNumbers: cols.confidence, rowNumbers: rows.confidence },
+  };
+}
+
+// Where one header cell sits on the displayed photo: band `layer` out from
+// the top (axis "x") or left ("y") edge of the grid
+function headerCellRect(gridBounds, gridSize, axis, index, layer = 0) {
+  const bandH = gridBounds.h / gridSize.rows;
+  const bandW = gridBounds.w / gridSize.cols;
+  if (axis === "x") {
+    const edges = gridEdges(gridBounds, gridSize.cols, "x");
+    return {
+      x: gridBounds.x + edges[index] * gridBounds.w,
+      y: gridBounds.y - bandH * (layer + 1),
+      w: (edges[index + 1] - edges[index]) * gridBounds.w,
+      h: bandH,
+    };
+  }
+  const edges = gridEdges(gridBounds, gridSize.rows, "y");
+  return {
+    x: gridBounds.x - bandW * (layer + 1),
+    y: gridBounds.y + edges[index] * gridBounds.h,
+    w: bandW,
+    h: (edges[index + 1] - edges[index]) * gridBounds.h,
+  };
+}
+
+const cleanOwnerText = (text) => String(text || "")
+  .replace(/[^A-Za-z0-9 .'&-]/g, " ")
+  .replace(/\s+/g, " ")
+  .trim();
+
+// Read the owner name written in each cell of the aligned grid, each
+// recognized as a single line of text on the shared worker.
+async function detectOwnerNames(photo, gridBounds, displayRect, gridSize, onProgress) {
+  const img = await loadImage(photo);
+  const natural = { width: img.naturalWidth, height: img.naturalHeight };
+  const grid = calcGridRect(displayRect, natural, gridBounds);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.floor(grid.w));
+  canvas.height = Math.max(1, Math.floor(grid.h));
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas not supported");
+  ctx.drawImage(img, grid.x, grid.y, grid.w, grid.h, 0, 0, canvas.width, canvas.height);
+  preprocessCanvas(canvas);
+
+  const { rows, cols } = gridSize;
+  const xs = gridEdges(gridBounds, cols, "x").map((e) => e * canvas.width);
+  const ys = gridEdges(gridBounds, rows, "y").map((e) => e * canvas.height);
+  const owners = makeGrid(gridSize, "");
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const cellW = xs[c + 1] - xs[c];
+      const cellH = ys[r + 1] - ys[r];
+      const insetX = cellW * OCR.cellInset;
+      const insetY = cellH * OCR.cellInset;
+      const rectangle = {
+        left: Math.floor(xs[c] + insetX),
+        top: Math.floor(ys[r] + insetY),
+        width: Math.max(1, Math.floor(cellW - insetX * 2)),
+        height: Math.max(1, Math.floor(cellH - insetY * 2)),
+      };
+      const data = await runOcr(canvas, { tessedit_pageseg_mode: "7", tessedit_char_whitelist: "" }, { rectangle });
+      if ((data?.confidence || 0) >= OCR.ownerMinConfidence) {
+        owners[r][c] = cleanOwnerText(data.text);
+      }
+      onProgress?.(r * cols + c + 1);
+    }
+  }
+  return owners;
+}
+
+// ─── Grid Lines ────────────────────────────────────────────
+// Projection profile of the binarized image: for each pixel row (axis "h")
+// or column ("v"), the share covered by dark runs at least `minRun` long.
+// Rules score high while handwriting and digits barely register.
+function lineProfile(data, width, height, axis, minRun) {
+  const along = axis === "h" ? width : height;
+  const across = axis === "h" ? height : width;
+  const profile = new Float32Array(across);
+  for (let a = 0; a < across; a++) {
+    let run = 0;
+    let gap = 0;
+    let total = 0;
+    for (let b = 0; b <= along; b++) {
+      const i = axis === "h" ? a * width + b : b * width + a;
+      if (b < along && data[i * 4] === 0) {
+        run += 1 + gap;
+        gap = 0;
+      } else if (b < along && run > 0 && gap < GRID_LINES.maxGap) {
+        gap++;
+      } else {
+        if (run >= minRun) total += run;
+        run = 0;
+        gap = 0;
+      }
+    }
+    profile[a] = total / along;
+  }
+  return profile;
+}
 
+// Collapse each stretch of strong profile values into one line at its
+// weighted centre; lines closer than `minGap` keep the stronger one.
+function findLinePeaks(profile, minStrength, minGap) {
+  const peaks = [];
+  for (let i = 0; i < profile.length; i++) {
+    if (profile[i] < minStrength) continue;
+    let sum = 0;
+    let weighted = 0;
+    let strength = 0;
+    for (; i < profile.length && profile[i] >= minStrength; i++) {
+      sum += profile[i];
+      weighted += profile[i] * i;
+      strength = Math.max(strength, profile[i]);
+    }
+    const peak = { pos: weighted / sum, strength };
+    const last = peaks[peaks.length - 1];
+    if (last && peak.pos - last.pos < minGap) {
+      if (peak.strength > last.strength) peaks[peaks.length - 1] = peak;
+    } else {
+      peaks.push(peak);
+    }
+  }
+  return peaks;
+}
+
+// The strongest run of `lines` consecutive peaks whose spacing is even
+// enough to be one grid
+function pickGridLines(peaks, lines) {
+  let best = null;
+  for (let i = 0; i + lines <= peaks.length; i++) {
+    const set = peaks.slice(i, i + lines);
+    const gaps = set.slice(1).map((p, k) => p.pos - set[k].pos);
+    if (Math.max(...gaps) > Math.min(...gaps) * GRID_LINES.maxCellRatio) continue;
+    const score = set.reduce((sum, p) => sum + p.strength, 0);
+    if (!best || score > best.score) best = { score, set };
+  }
+  return best ? best.set.map((p) => p.pos) : null;
+}
+
+// Find the grid's rules (rows + 1 across, cols + 1 down) and return the
+// outer rect in display coords plus each cell edge as colEdges/rowEdges.
+async function detectGridLines(photo, displayRect, gridSize) {
+  const img = await loadImage(photo);
+  const scale = Math.min(1, GRID_LINES.maxDim / Math.max(img.naturalWidth, img.naturalHeight));
   const canvas = document.createElement("canvas");
-  const topSymbols = offsetSymbols(await ocrStrip(canvas, topStrip), topStrip.x, topStrip.y);
-  const leftSymbols = offsetSymbols(await ocrStrip(canvas, leftStrip), leftStrip.x, leftStrip.y);
+  canvas.width = Math.max(1, Math.floor(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.floor(img.naturalHeight * scale));
+  const ctx = canvas.getContext("2d");
+  if (!ctx) throw new Error("Canvas not supported");
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  preprocessCanvas(canvas);
+  const { width, height } = canvas;
+  const { data } = ctx.getImageData(0, 0, width, height);
 
-  const colNumbers = pickDigitsFromSymbols(topSymbols, "x", grid);
-  const rowNumbers = pickDigitsFromSymbols(leftSymbols, "y", grid);
-  return { colNumbers, rowNumbers };
+  const find = (axis, count) => {
+    const along = axis === "h" ? width : height;
+    const across = axis === "h" ? height : width;
+    const profile = lineProfile(data, width, height, axis, along * GRID_LINES.minRun);
+    const max = profile.reduce((m, v) => Math.max(m, v), 0);
+    if (!max) return null;
+    const peaks = findLinePeaks(profile, max * GRID_LINES.minStrength, across * GRID_LINES.minGap);
+    return pickGridLines(peaks, count + 1);
+  };
+  const ys = find("h", gridSize.rows);
+  const xs = find("v", gridSize.cols);
+  if (!xs || !ys) throw new Error(`Couldn't find the ${gridSize.cols + 1}×${gridSize.rows + 1} grid lines`);
+
+  const toEdges = (at) => at.map((p) => (p - at[0]) / (at[at.length - 1] - at[0]));
+  const sx = displayRect.width / width;
+  const sy = displayRect.height / height;
+  return {
+    x: xs[0] * sx,
+    y: ys[0] * sy,
+    w: (xs[xs.length - 1] - xs[0]) * sx,
+    h: (ys[ys.length - 1] - ys[0]) * sy,
+    colEdges: toEdges(xs),
+    rowEdges: toEdges(ys),
+  };
 }
 
-async function detectGridFromOCR(photo, displayRect, ratio) {
+// Fallback for sheets without clean rules: guess the rect from the outermost
+// header digits and force it to the sheet's ratio
+async function detectGridFromOCR(photo, displayRect, ratio, onProgress) {
   const img = await loadImage(photo);
   const maxDim = 1400;
   const scale = Math.min(1, maxDim / Math.max(img.naturalWidth, img.naturalHeight));
@@ -284,13 +810,13 @@ async function detectGridFromOCR(photo, displayRect, ratio) {
   if (rawCtx) rawCtx.drawImage(img, 0, 0, rawCanvas.width, rawCanvas.height);
   preprocessCanvas(canvas);
 
-  let symbols = await recognizeDigits(canvas, 6);
-  if (symbols.length < OCR.gridMinSymbols) symbols = await recognizeDigits(canvas, 11);
-  if (symbols.length < OCR.gridMinSymbols) symbols = await recognizeDigits(canvas, 7);
-  if (symbols.length < OCR.gridMinSymbols && rawCtx) {
-    symbols = await recognizeDigits(rawCanvas, 6);
-    if (symbols.length < OCR.gridMinSymbols) symbols = await recognizeDigits(rawCanvas, 11);
-    if (symbols.length < OCR.gridMinSymbols) symbols = await recognizeDigits(rawCanvas, 7);
+  // Try page-segmentation modes on the cleaned image, then the raw one,
+  // until enough digits turn up
+  const passes = [[canvas, 6], [canvas, 11], [canvas, 7]];
+  if (rawCtx) passes.push([rawCanvas, 6], [rawCanvas, 11], [rawCanvas, 7]);
+  let symbols = [];
+  for (let i = 0; i < passes.length && symbols.length < OCR.gridMinSymbols; i++) {
+    symbols = await recognizeDigits(passes[i][0], passes[i][1], ocrPassProgress(onProgress, i, passes.length));
   }
   if (symbols.length < OCR.gridMinSymbols) throw new Error("Not enough digits detected");
 
@@ -350,6 +876,121 @@ async function rotateImageDataUrl(photo, direction = "cw") {
   return canvas.toDataURL("image/png");
 }
 
+// ─── Perspective ───────────────────────────────────────────
+// Homography taking the four `from` points onto the four `to` points
+// (each [tl, tr, br, bl] as {x, y}), as the 8 free terms of a 3x3 matrix.
+function getHomography(from, to) {
+  const a = [];
+  const b = [];
+  from.forEach((p, i) => {
+    const q = to[i];
+    a.push([p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x]);
+    b.push(q.x);
+    a.push([0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y]);
+    b.push(q.y);
+  });
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-10) throw new Error("Corners must form a four-sided shape");
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const f = a[r][col] / a[col][col];
+      for (let c = col; c < 8; c++) a[r][c] -= f * a[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  return b.map((v, i) => v / a[i][i]);
+}
+
+function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + 1;
+  return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+}
+
+// Warp the quadrilateral under `corners` (display coords over an image shown
+// at `displayRect`) into an upright rectangle. Returns the new photo and
+// where the grid sits in it, in the new image's pixels.
+async function straightenPhoto(photo, corners, displayRect) {
+  const img = await loadImage(photo);
+  const sx = img.naturalWidth / displayRect.width;
+  const sy = img.naturalHeight / displayRect.height;
+  const src = corners.map((p) => ({ x: p.x * sx, y: p.y * sy }));
+  const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+  let gw = (dist(src[0], src[1]) + dist(src[3], src[2])) / 2;
+  let gh = (dist(src[0], src[3]) + dist(src[1], src[2])) / 2;
+  const lead = PERSPECTIVE.leadMargin * Math.min(gw, gh);
+  const trail = PERSPECTIVE.trailMargin * Math.min(gw, gh);
+  const scale = Math.min(1, PERSPECTIVE.maxSide / (Math.max(gw, gh) + lead + trail));
+  gw *= scale;
+  gh *= scale;
+  const grid = { x: lead * scale, y: lead * scale, w: gw, h: gh };
+  const width = Math.round(grid.x + gw + trail * scale);
+  const height = Math.round(grid.y + gh + trail * scale);
+
+  // Read the photo at the output's scale rather than full camera resolution;
+  // both the pixel buffer and the warp loop stay within maxSide
+  const from = src.map((p) => ({ x: p.x * scale, y: p.y * scale }));
+  const srcCanvas = document.createElement("canvas");
+  srcCanvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  srcCanvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const srcCtx = srcCanvas.getContext("2d");
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!srcCtx || !ctx) throw new Error("Canvas not supported");
+  srcCtx.drawImage(img, 0, 0, srcCanvas.width, srcCanvas.height);
+  const input = srcCtx.getImageData(0, 0, srcCanvas.width, srcCanvas.height).data;
+  const out = ctx.createImageData(width, height);
+
+  // Map every output pixel back into the original photo and blend the four
+  // nearest source pixels, which keeps digit edges smooth for OCR. Outside
+  // the photo is white. The loop yields every few rows so the page stays
+  // responsive on phones.
+  const h = getHomography([
+    { x: grid.x, y: grid.y }, { x: grid.x + gw, y: grid.y },
+    { x: grid.x + gw, y: grid.y + gh }, { x: grid.x, y: grid.y + gh },
+  ], from);
+  const sw = srcCanvas.width;
+  const sh = srcCanvas.height;
+  for (let y = 0; y < height; y++) {
+    if (y % PERSPECTIVE.rowsPerSlice === 0) await new Promise((r) => setTimeout(r, 0));
+    for (let x = 0; x < width; x++) {
+      const p = applyHomography(h, x + 0.5, y + 0.5);
+      const fx = p.x - 0.5;
+      const fy = p.y - 0.5;
+      const o = (y * width + x) * 4;
+      out.data[o + 3] = 255;
+      if (fx < -0.5 || fy < -0.5 || fx > sw - 0.5 || fy > sh - 0.5) {
+        out.data[o] = out.data[o + 1] = out.data[o + 2] = 255;
+        continue;
+      }
+      const x0 = Math.max(0, Math.floor(fx));
+      const y0 = Math.max(0, Math.floor(fy));
+      const x1 = Math.min(sw - 1, x0 + 1);
+      const y1 = Math.min(sh - 1, y0 + 1);
+      const ax = Math.min(1, Math.max(0, fx - x0));
+      const ay = Math.min(1, Math.max(0, fy - y0));
+      const i00 = (y0 * sw + x0) * 4;
+      const i10 = (y0 * sw + x1) * 4;
+      const i01 = (y1 * sw + x0) * 4;
+      const i11 = (y1 * sw + x1) * 4;
+      for (let k = 0; k < 3; k++) {
+        const top = input[i00 + k] + (input[i10 + k] - input[i00 + k]) * ax;
+        const bottom = input[i01 + k] + (input[i11 + k] - input[i01 + k]) * ax;
+        out.data[o + k] = top + (bottom - top) * ay;
+      }
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  // JPEG keeps the photo small enough for IndexedDB
+  return { photo: canvas.toDataURL("image/jpeg", PERSPECTIVE.quality), width, height, grid };
+}
+
 function BrandHeader() {
   return (
     <div style={{
@@ -382,89 +1023,1267 @@ function BrandFooter() {
   );
 }
 
+// ─── Grid Shape ────────────────────────────────────────────
+// Pools saved before grid sizes existed are 10x10
+function getGridSize(pool) {
+  const clamp = (n) => Math.max(GRID.min, Math.min(GRID.max, Math.round(Number(n)) || GRID.size));
+  const size = pool?.gridSize;
+  return size ? { rows: clamp(size.rows), cols: clamp(size.cols) } : { rows: GRID.size, cols: GRID.size };
+}
+
+const getSquareCount = (size) => size.rows * size.cols;
+const makeGrid = (size, value) => Array.from({ length: size.rows }, () => Array(size.cols).fill(value));
+// Resize a grid, keeping the cells that still fit
+const fitGrid = (grid, size, value) => Array.from({ length: size.rows }, (_, r) => (
+  Array.from({ length: size.cols }, (_, c) => grid?.[r]?.[c] ?? value)
+));
+
+const isGrid = (value, size = getGridSize()) => Array.isArray(value) && value.length === size.rows &&
+  value.every((row) => Array.isArray(row) && row.length === size.cols);
+
+// A header is a single digit (number) or, on axes shorter than ten, an
+// array of the digits it covers. Empty headers are null.
+const digitsPerHeader = (count) => Math.ceil(GRID.size / count);
+const headerDigits = (header) => (Array.isArray(header) ? header : header == null ? [] : [header]);
+const formatHeader = (header) => headerDigits(header).join("·");
+
+const toHeader = (digits) => (digits.length === 0 ? null : digits.length === 1 ? digits[0] : digits);
+
+function parseHeader(text, maxDigits) {
+  return toHeader([...new Set(String(text || "").replace(/\D/g, "").split("").map(Number))].slice(0, maxDigits));
+}
+
+// A finished axis covers each digit 0-9 exactly once. Reports the digits no
+// header has, headers sharing a digit (`conflicts`) and empty headers.
+function checkAxis(numbers) {
+  const slots = new Map();
+  numbers.forEach((n, i) => headerDigits(n).forEach((d) => slots.set(d, [...(slots.get(d) || []), i])));
+  const missing = Array.from({ length: GRID.size }, (_, d) => d).filter((d) => !slots.has(d));
+  const conflicts = new Set([...slots.values()].filter((at) => at.length > 1).flat());
+  const empty = numbers.flatMap((n, i) => (n == null ? [i] : []));
+  return { valid: !missing.length && !conflicts.size && !empty.length, missing, conflicts, empty };
+}
+
+// The header a lone missing digit must belong to: the only one with room
+// left on an axis that is otherwise clean. -1 when it can't be known.
+function missingDigitSlot(numbers) {
+  const { missing, conflicts } = checkAxis(numbers);
+  if (missing.length !== 1 || conflicts.size) return -1;
+  const maxDigits = digitsPerHeader(numbers.length);
+  const room = numbers.flatMap((n, i) => (headerDigits(n).length < maxDigits ? [i] : []));
+  return room.length === 1 ? room[0] : -1;
+}
+
+function fillMissingDigit(numbers) {
+  const slot = missingDigitSlot(numbers);
+  if (slot < 0) return numbers;
+  const [digit] = checkAxis(numbers).missing;
+  return numbers.map((n, i) => (i === slot ? toHeader([...headerDigits(n), digit]) : n));
+}
+
+// ─── Backup ────────────────────────────────────────────────
+function normalizeGridBounds(bounds) {
+  const g = bounds || {};
+  const w = g.w ?? g.size ?? 250;
+  return {
+    x: g.x ?? 20,
+    y: g.y ?? 20,
+    w,
+    h: g.h ?? w * A4.ratio,
+    ratio: g.ratio ?? A4.ratio,
+    ...(g.colEdges ? { colEdges: g.colEdges } : {}),
+    ...(g.rowEdges ? { rowEdges: g.rowEdges } : {}),
+  };
+}
+
+const emptyScores = () => ({
+  q1: [null, null], q2: [null, null], q3: [null, null], q4: [null, null], ot: [null, null],
+});
+
+// Bring a pool saved by any earlier version up to the current shape
+function migratePool(pool) {
+  const gridSize = getGridSize(pool);
+  const next = {
+    ...pool,
+    gridSize,
+    sport: SPORTS[pool.sport] ? pool.sport : DEFAULT_SPORT,
+    type: pool.type || "quarters",
+    buyIn: Number(pool.buyIn) || 0,
+    gridBounds: normalizeGridBounds(pool.gridBounds),
+    photo: pool.photo || null,
+    scores: { ...emptyScores(), ...pool.scores },
+    scoreHistory: Array.isArray(pool.scoreHistory) ? pool.scoreHistory : [],
+    lastKnownScore: pool.lastKnownScore || null,
+  };
+  if (!isGrid(next.owners, gridSize)) delete next.owners;
+  if (isMultiGame(next)) {
+    next.gameResults = next.gameResults && typeof next.gameResults === "object" ? next.gameResults : {};
+  } else {
+    delete next.games;
+    delete next.gameRule;
+  }
+  return next;
+}
+
+function createBackup(pools) {
+  return {
+    format: BACKUP.format,
+    version: BACKUP.version,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    pools,
+  };
+}
+
+// Validate a parsed backup file and return its upgraded pools. Structural
+// problems throw; individual pools that can't be read are counted and skipped.
+function parseBackup(data) {
+  if (!data || typeof data !== "object") throw new Error("Not a backup file");
+  if (data.format !== BACKUP.format) throw new Error("Not an SB Squares backup file");
+  if (!Number.isInteger(data.version) || data.version > BACKUP.version) {
+    throw new Error("This backup was made by a newer version of the app");
+  }
+  if (!Array.isArray(data.pools)) throw new Error("Backup has no pools");
+  const pools = [];
+  let skipped = 0;
+  data.pools.forEach((p) => {
+    const valid = p && typeof p === "object" && typeof p.id === "string" && p.id &&
+      typeof p.name === "string" && isGrid(p.mySquares, getGridSize(p));
+    if (valid) pools.push(migratePool(p));
+    else skipped += 1;
+  });
+  return { pools, skipped };
+}
+
+// strategy: "keep" leaves existing pools alone, "replace" overwrites them,
+// "both" imports the backup copy alongside under a new id.
+function mergePools(existing, incoming, strategy) {
+  const byId = new Map(existing.map((p) => [p.id, p]));
+  const merged = [...existing];
+  let added = 0;
+  let replaced = 0;
+  incoming.forEach((p) => {
+    const current = byId.get(p.id);
+    if (!current) {
+      merged.push(p);
+      added += 1;
+      return;
+    }
+    if (JSON.stringify(current) === JSON.stringify(p)) return;
+    if (strategy === "replace") {
+      merged[merged.indexOf(current)] = p;
+      replaced += 1;
+    } else if (strategy === "both") {
+      merged.push({ ...p, id: uid(), name: `${p.name} (imported)` });
+      added += 1;
+    }
+  });
+  return { pools: merged, added, replaced };
+}
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─── Share Links ───────────────────────────────────────────
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// Payloads are prefixed "z" when deflated and "j" when plain JSON, so links
+// made on browsers without CompressionStream still open everywhere.
+async function encodeSharePayload(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  if (typeof CompressionStream === "undefined") return `j${toBase64Url(bytes)}`;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return `z${toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
+}
+
+async function decodeSharePayload(payload) {
+  const kind = payload[0];
+  let bytes = fromBase64Url(payload.slice(1));
+  if (kind === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("Link not supported in this browser");
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  } else if (kind !== "j") {
+    throw new Error("Unrecognized share link");
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Everything another player needs to rebuild the grid, minus the photo and
+// anything personal to this device (my squares, recorded scores).
+function poolToShare(pool) {
+  const hasOwners = pool.owners?.some((row) => row.some((o) => o.trim()));
+  return {
+    v: SHARE.version,
+    name: pool.name,
+    sport: pool.sport,
+    type: pool.type,
+    buyIn: pool.buyIn,
+    squaresSold: pool.squaresSold,
+    payout: pool.payout,
+    sidePrizes: pool.sidePrizes,
+    otCountsForFinal: pool.otCountsForFinal,
+    team1: pool.team1, team2: pool.team2,
+    team1Full: pool.team1Full, team2Full: pool.team2Full,
+    awayAbbr: pool.awayAbbr, homeAbbr: pool.homeAbbr,
+    columnsTeam: pool.columnsTeam,
+    gameId: pool.gameId,
+    gameDate: pool.gameDate,
+    games: pool.games || undefined,
+    gameRule: pool.gameRule || undefined,
+    gridSize: pool.gridSize,
+    colNumbers: pool.colNumbers,
+    rowNumbers: pool.rowNumbers,
+    redrawAxes: pool.redrawAxes || undefined,
+    periodAxes: pool.redrawAxes ? pool.periodAxes : undefined,
+    owners: hasOwners ? pool.owners : undefined,
+  };
+}
+
+function shareToTemplate(data) {
+  if (!data || data.v !== SHARE.version) throw new Error("Unsupported share link");
+  if (typeof data.name !== "string" || typeof data.team1 !== "string" || typeof data.team2 !== "string") {
+    throw new Error("Share link is missing pool details");
+  }
+  const gridSize = getGridSize(data);
+  const digits = (nums, count) => (Array.isArray(nums) && nums.length === count ? nums : null);
+  const periodAxes = data.periodAxes && typeof data.periodAxes === "object" ? data.periodAxes : {};
+  return {
+    ...data,
+    sport: SPORTS[data.sport] ? data.sport : DEFAULT_SPORT,
+    gridSize,
+    colNumbers: digits(data.colNumbers, gridSize.cols),
+    rowNumbers: digits(data.rowNumbers, gridSize.rows),
+    redrawAxes: !!data.redrawAxes,
+    periodAxes: Object.fromEntries(AXIS_PERIODS.slice(1).map((q) => [q, {
+      colNumbers: digits(periodAxes[q]?.colNumbers, gridSize.cols),
+      rowNumbers: digits(periodAxes[q]?.rowNumbers, gridSize.rows),
+    }])),
+    owners: isGrid(data.owners, gridSize) ? data.owners.map((row) => row.map((o) => String(o || ""))) : undefined,
+    games: Array.isArray(data.games) ? data.games.filter((g) => g && typeof g.id === "string") : undefined,
+    gameRule: typeof data.gameRule?.team === "string" ? data.gameRule : undefined,
+  };
+}
+
+async function buildShareUrl(pool) {
+  const payload = await encodeSharePayload(poolToShare(pool));
+  return `${window.location.origin}/#${SHARE.hashKey}=${payload}`;
+}
+
 // ─── ESPN API ──────────────────────────────────────────────
-const ESPN_BASE = "https://site.api.espn.com/apis/site/v2/sports/football/nfl";
+const ESPN_BASE = "https://site.api.espn.com/apis/site/v2/sports";
+const espnUrl = (sportKey, path) => `${ESPN_BASE}/${(SPORTS[sportKey] || SPORTS[DEFAULT_SPORT]).path}/${path}`;
+
+function normalizeCompetition(id, name, comp, boardDate) {
+  const teams = [...(comp.competitors || [])].sort((a, b) => (a.homeAway === "home" ? 1 : -1));
+  const away = teams[0] || {};
+  const home = teams[1] || {};
+  const lineValue = (l) => l.value ?? (parseFloat(l.displayValue) || 0);
+  return {
+    id,
+    name: name || `${away.team?.abbreviation} vs ${home.team?.abbreviation}`,
+    boardDate: boardDate || null,
+    status: comp.status?.type?.description || "Unknown",
+    state: comp.status?.type?.state || "",
+    startTime: comp.date || null,
+    period: comp.status?.period || 0,
+    clock: comp.status?.displayClock || "",
+    awayTeam: away.team?.displayName || "Away",
+    awayAbbr: away.team?.abbreviation || "AWY",
+    awayScore: parseInt(away.score, 10) || 0,
+    homeTeam: home.team?.displayName || "Home",
+    homeAbbr: home.team?.abbreviation || "HME",
+    homeScore: parseInt(home.score, 10) || 0,
+    linescores: {
+      away: (away.linescores || []).map(lineValue),
+      home: (home.linescores || []).map(lineValue),
+    },
+  };
+}
+
+async function fetchGames(dateStr, sportKey = DEFAULT_SPORT) {
+  try {
+    const params = [dateStr && `dates=${dateStr}`, SPORTS[sportKey]?.query].filter(Boolean).join("&");
+    const r = await fetch(espnUrl(sportKey, `scoreboard${params ? `?${params}` : ""}`));
+    if (!r.ok) throw new Error("ESPN API error");
+    const data = await r.json();
+    // Remember which scoreboard day each game came from so polling can ask for it again
+    const boardDate = dateStr || (data.day?.date || "").replace(/-/g, "");
+    return (data.events || []).map((ev) => (
+      normalizeCompetition(ev.id, ev.name, ev.competitions?.[0] || {}, boardDate)
+    ));
+  } catch {
+    return null;
+  }
+}
+
+// Single-event lookup for pools linked before the game date was stored
+async function fetchGameSummary(gameId, sportKey = DEFAULT_SPORT) {
+  try {
+    const r = await fetch(espnUrl(sportKey, `summary?event=${gameId}`));
+    if (!r.ok) throw new Error("ESPN API error");
+    const data = await r.json();
+    const comp = data.header?.competitions?.[0];
+    if (!comp) return null;
+    return normalizeCompetition(gameId, data.header?.name, comp, null);
+  } catch {
+    return null;
+  }
+}
+
+// ESPN's scoreboard days run on US Eastern time, so a Monday night kickoff
+// after midnight UTC still belongs to Monday's board
+const toBoardDate = (iso) => (
+  iso ? new Date(iso).toLocaleDateString("en-CA", { timeZone: "America/New_York" }).replace(/-/g, "") : null
+);
 
-async function fetchGames(dateStr) {
+// Every game on a team's schedule for one season type (2 regular, 3 playoffs)
+async function fetchTeamSchedule(team, season, seasonType, sportKey = DEFAULT_SPORT) {
   try {
-    const url = dateStr ? `${ESPN_BASE}/scoreboard?dates=${dateStr}` : `${ESPN_BASE}/scoreboard`;
-    const r = await fetch(url);
+    const slug = encodeURIComponent(team.toLowerCase());
+    const r = await fetch(espnUrl(sportKey, `teams/${slug}/schedule?season=${season}&seasontype=${seasonType}`));
     if (!r.ok) throw new Error("ESPN API error");
     const data = await r.json();
     return (data.events || []).map((ev) => {
       const comp = ev.competitions?.[0] || {};
-      const teams = (comp.competitors || []).sort((a, b) => (a.homeAway === "home" ? 1 : -1));
-      const away = teams[0] || {};
-      const home = teams[1] || {};
-      return {
-        id: ev.id,
-        name: ev.name || `${away.team?.abbreviation} vs ${home.team?.abbreviation}`,
-        status: comp.status?.type?.description || "Unknown",
-        period: comp.status?.period || 0,
-        clock: comp.status?.displayClock || "",
-        awayTeam: away.team?.displayName || "Away",
-        awayAbbr: away.team?.abbreviation || "AWY",
-        awayScore: parseInt(away.score, 10) || 0,
-        homeTeam: home.team?.displayName || "Home",
-        homeAbbr: home.team?.abbreviation || "HME",
-        homeScore: parseInt(home.score, 10) || 0,
-        linescores: {
-          away: (away.linescores || []).map((l) => l.value),
-          home: (home.linescores || []).map((l) => l.value),
-        },
-      };
+      return normalizeCompetition(ev.id, ev.name, comp, toBoardDate(comp.date || ev.date));
     });
   } catch {
     return null;
   }
 }
 
-// ─── Helpers ────────────────────────────────────────────────
-function getWinnerCell(colNumbers, rowNumbers, score1, score2) {
-  if (!colNumbers || !rowNumbers || score1 == null || score2 == null) return null;
-  const colIdx = colNumbers.indexOf(score1 % 10);
-  const rowIdx = rowNumbers.indexOf(score2 % 10);
-  return colIdx >= 0 && rowIdx >= 0 ? { row: rowIdx, col: colIdx } : null;
-}
+// ─── Score Providers ───────────────────────────────────────
+// A provider returns games in the shape normalizeCompetition builds (id,
+// status, state, period, clock, scores, linescores). Every lookup takes the
+// pool's sport key last (a SPORTS key, NFL when left out):
+//   fetchGames(dateStr, sport) -> Promise<Game[] | null>   scoreboard for a day
+//   fetchGame(gameId, sport)   -> Promise<Game | null>     single event lookup
+//   fetchTeamSchedule(team, season, seasonType, sport) -> Promise<Game[] | null>
+// liveMs is how often to poll while one of its games is in progress.
+const espnProvider = {
+  key: "espn",
+  label: "ESPN",
+  liveMs: POLL.liveMs,
+  fetchGames,
+  fetchGame: fetchGameSummary,
+  fetchTeamSchedule,
+};
 
-function getQuarterScores(game) {
-  if (!game) return {};
-  const scores = {};
-  const aq = game.linescores?.away || [];
-  const hq = game.linescores?.home || [];
-  let aRunning = 0, hRunning = 0;
-  for (let i = 0; i < 4; i++) {
-    aRunning += aq[i] || 0;
-    hRunning += hq[i] || 0;
-    if (aq[i] !== undefined) {
-      scores[QUARTERS[i]] = [aRunning, hRunning];
-    }
+// A recording is { game: {...static game fields}, frames: [{ t, ...changes }] }
+// where t is seconds from kickoff and each frame carries the fields that
+// changed (status, state, period, clock, awayScore, homeScore, linescores).
+function parseRecording(data) {
+  if (!data || typeof data !== "object" || !data.game || !Array.isArray(data.frames)) {
+    throw new Error("Not a game recording");
   }
-  return scores;
+  if (!data.game.id) throw new Error("Recording has no game id");
+  const frames = data.frames
+    .filter((f) => f && Number.isFinite(f.t))
+    .sort((a, b) => a.t - b.t);
+  if (frames.length === 0) throw new Error("Recording has no frames");
+  return { game: { ...data.game, id: String(data.game.id) }, frames };
 }
 
-// ═══════════════════════════════════════════════════════════
-//  PHOTO UPLOAD + GRID OVERLAY
-// ═══════════════════════════════════════════════════════════
-function PhotoStep({ photo, onPhotoChange, onSkip }) {
-  const cameraRef = useRef(null);
-  const libraryRef = useRef(null);
+// Plays a recording back against the wall clock at `speed`x, starting now
+function createReplayProvider(recording, speed = 1) {
+  const startedAt = Date.now();
+  const base = normalizeCompetition(recording.game.id, recording.game.name, {}, null);
+  const current = () => {
+    const elapsed = ((Date.now() - startedAt) / 1000) * speed;
+    let game = { ...base, ...recording.game, state: "", status: "Scheduled" };
+    for (const frame of recording.frames) {
+      if (frame.t > elapsed) break;
+      const { t, ...changes } = frame;
+      game = { ...game, ...changes };
+    }
+    // Recordings may leave out ESPN's state; derive it from the status text
+    const state = game.state || (/final/i.test(game.status) ? "post" : /scheduled/i.test(game.status) ? "pre" : "in");
+    return { ...game, state };
+  };
+  return {
+    key: "replay",
+    label: `Replay ${speed}x`,
+    liveMs: 2000,
+    fetchGames: async () => [current()],
+    fetchGame: async (gameId) => (gameId === recording.game.id ? current() : null),
+    fetchTeamSchedule: async () => [current()],
+  };
+}
 
-  const handleFile = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => onPhotoChange(reader.result);
-    reader.readAsDataURL(file);
+// A replay rehearses an in-memory copy of one pool, linked to the recorded
+// game with its tracking cleared. The saved pool is never touched.
+function toRehearsalPool(pool, recording) {
+  return {
+    ...pool,
+    id: `rehearsal-${pool.id}`,
+    name: `${pool.name} (rehearsal)`,
+    gameId: recording.game.id,
+    gameDate: null,
+    columnsTeam: pool.columnsTeam === "home" ? "home" : "away",
+    games: null,
+    gameRule: null,
+    gameResults: null,
+    scores: emptyScores(),
+    scoreHistory: [],
+    minuteScores: pool.type === "minute" ? Array(getGameMinutes(getSport(pool))).fill(null) : null,
+    lastKnownScore: null,
+    notifiedWins: [],
   };
+}
 
-  return (
-    <div style={{ padding: 20, textAlign: "center" }}>
+// Fetch just the scoreboards the linked pools need: one request per sport and
+// stored game date, plus a single-event lookup for each game without one.
+// Takes { gameId, gameDate, sport } links, as getLinkedGames returns.
+async function fetchLinkedGames(provider, linked) {
+  const unique = (links, keyOf) => [...new Map(links.map((l) => [keyOf(l), l])).values()];
+  const boardLinks = unique(linked.filter((l) => l.gameDate), (l) => `${l.sport}:${l.gameDate}`);
+  const undated = unique(linked.filter((l) => !l.gameDate), (l) => l.gameId);
+  const [boards, summaries] = await Promise.all([
+    Promise.all(boardLinks.map((l) => provider.fetchGames(l.gameDate, l.sport))),
+    Promise.all(undated.map((l) => provider.fetchGame(l.gameId, l.sport))),
+  ]);
+  const map = {};
+  boards.forEach((games) => (games || []).forEach((g) => { map[g.id] = g; }));
+  summaries.forEach((g) => { if (g) map[g.id] = g; });
+  const requests = [...boards, ...summaries];
+  const ok = requests.length === 0 || requests.some((r) => r != null);
+  return { games: map, ok };
+}
+
+// How long to wait before the next poll given the linked games' states:
+// quick while any is live, slow until kickoff, and null once all are final.
+function getPollDelay(games, liveMs = POLL.liveMs) {
+  // A game missing from the fetch (postponed, moved to another date) is
+  // checked at the idle rate rather than treated as live
+  const known = games.filter(Boolean);
+  const states = known.map((g) => g.state || "");
+  if (known.length === games.length && states.length > 0 && states.every((st) => st === "post")) return null;
+  if (states.some((st) => st === "in" || st === "")) return liveMs;
+  const untilKickoff = known
+    .filter((g) => g.state === "pre")
+    .map((g) => (Date.parse(g.startTime) || 0) - Date.now());
+  const wait = untilKickoff.length ? Math.min(...untilKickoff) : POLL.idleMs;
+  return Math.max(liveMs, Math.min(POLL.idleMs, wait));
+}
+
+const getBackoffDelay = (failures, liveMs = POLL.liveMs) => (
+  Math.min(POLL.maxBackoffMs, liveMs * 2 ** (failures - 1))
+);
+
+// ─── Helpers ────────────────────────────────────────────────
+const formatMoney = (n) => {
+  const v = Math.round((Number(n) || 0) * 100) / 100;
+  const abs = Math.abs(v).toFixed(2).replace(/\.00$/, "");
+  return `${v < 0 ? "-" : ""}$${abs}`;
+};
+
+// ─── Sports ────────────────────────────────────────────────
+const getSport = (item) => SPORTS[item?.sport] || SPORTS[DEFAULT_SPORT];
+const getPeriods = (sport) => PERIOD_KEYS.slice(0, sport.periods);
+const getFinalPeriod = (sport) => PERIOD_KEYS[sport.periods - 1];
+// The middle period end of an even count is halftime
+const getHalfPeriod = (sport) => (sport.periods % 2 === 0 ? PERIOD_KEYS[sport.periods / 2 - 1] : null);
+const getGameMinutes = (sport) => sport.periods * sport.periodMinutes;
+const getAxisPeriods = (sport) => [...getPeriods(sport), OT];
+
+// Labels for axis sets: every period by number, then overtime
+const getAxisLabels = (sport) => ({
+  ...Object.fromEntries(getPeriods(sport).map((q, i) => [q, `${sport.short}${i + 1}`])),
+  [OT]: "OT",
+});
+
+// Labels for payouts, which name halftime and the final
+function getPeriodNames(sport) {
+  const names = { ...getAxisLabels(sport), [getFinalPeriod(sport)]: "Final" };
+  const half = getHalfPeriod(sport);
+  if (half && half !== getFinalPeriod(sport)) names[half] = "Halftime";
+  return names;
+}
+
+// Half & Final only differs from paying every period with more than two
+function getPoolTypes(sport) {
+  return POOL_TYPES
+    .filter((t) => t.key !== "half_final" || (sport.periods > 2 && getHalfPeriod(sport)))
+    .map((t) => (t.key === "quarters" ? { ...t, label: sport.units, desc: `Winner at end of each ${sport.unit}` } : t));
+}
+
+// Pool type as its sport names it, led by the sport for anything but the NFL
+function getTypeLabel(pool) {
+  const sport = getSport(pool);
+  const type = getPoolTypes(sport).find((t) => t.key === pool.type)?.label || pool.type || "";
+  return sport === SPORTS[DEFAULT_SPORT] ? type : `${sport.label} ${type}`;
+}
+
+// ESPN seasons are named for the year they start, except in leagues whose
+// season runs over New Year, which ESPN names for the year they end
+function currentSeason(sport) {
+  const now = new Date();
+  if (sport.seasonEndsYear) return now.getMonth() >= 8 ? now.getFullYear() + 1 : now.getFullYear();
+  return now.getMonth() < 7 ? now.getFullYear() - 1 : now.getFullYear();
+}
+
+function getPayoutPeriods(type, sport) {
+  if (type === "half_final" && getHalfPeriod(sport)) return [getHalfPeriod(sport), getFinalPeriod(sport)];
+  if (type === "every_score" || type === "minute") return [];
+  return getPeriods(sport);
+}
+
+function getDefaultPayout(type, sport) {
+  const paid = getPayoutPeriods(type, sport);
+  const periods = type === "half_final" && getHalfPeriod(sport)
+    ? Object.fromEntries(getPeriods(sport).map((q) => [q, paid.includes(q) ? 50 : 0]))
+    : { ...PAYOUT_PRESETS[sport.periods][0].periods };
+  return {
+    mode: "percent",
+    periods,
+    perScore: "",
+    houseCut: "",
+    charity: "",
+  };
+}
+
+function getPoolPot(pool) {
+  const sold = Number(pool.squaresSold) || getSquareCount(getGridSize(pool));
+  const gross = (Number(pool.buyIn) || 0) * sold;
+  const payout = pool.payout || getDefaultPayout(pool.type, getSport(pool));
+  const cut = Math.min(100, (Number(payout.houseCut) || 0) + (Number(payout.charity) || 0));
+  return { gross, net: gross * (1 - cut / 100) };
+}
+
+// Prize for a single win. Quarter-style wins read the per-period schedule;
+// every-score and minute wins use the flat per-event amount, with minute
+// pools splitting the pot evenly when none is set.
+function getWinAmount(pool, period) {
+  const payout = pool.payout || getDefaultPayout(pool.type, getSport(pool));
+  // Multi-game pools split the pot evenly across their games
+  const net = getPoolPot(pool).net * (pool.potShare ?? 1);
+  const perScore = Number(payout.perScore) || 0;
+  if (period === "score") return perScore;
+  if (period === "minute") return perScore || net / getGameMinutes(getSport(pool));
+  const value = Number(payout.periods?.[period]) || 0;
+  return payout.mode === "fixed" ? value : (net * value) / 100;
+}
+
+function getSideAmount(pool, kind) {
+  const rules = { ...SIDE_PRIZES, ...pool.sidePrizes };
+  return Number(kind === "reverse" ? rules.reverseAmount : rules.neighborAmount) || 0;
+}
+
+function getPoolEarnings(pool, liveGames) {
+  const wins = getAllPoolWins(pool, liveGames);
+  const mineCount = pool.mySquares.flat().filter(Boolean).length;
+  const won = wins.filter((w) => w.isMine).reduce((s, w) => s + w.amount, 0);
+  const cost = (Number(pool.buyIn) || 0) * mineCount;
+  return { wins, won, cost, net: won - cost };
+}
+
+const normalizeName = (name) => String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+function isOwnerMe(owner, myName) {
+  const me = normalizeName(myName);
+  return me !== "" && normalizeName(owner) === me;
+}
+
+// With owner names and a "me" name, a square is mine when its owner is me;
+// pools without names keep the hand-tapped mySquares grid.
+function deriveMySquares(owners, myName) {
+  return owners.map((row) => row.map((owner) => isOwnerMe(owner, myName)));
+}
+
+// Write my taps back into the owner grid so the two never disagree
+function reconcileOwners(owners, mySquares, myName) {
+  if (!normalizeName(myName)) return owners;
+  return owners.map((row, r) => row.map((owner, c) => {
+    if (mySquares[r][c]) return isOwnerMe(owner, myName) ? owner : myName.trim();
+    return isOwnerMe(owner, myName) ? "" : owner;
+  }));
+}
+
+// Each score's last digit lands on whichever header lists it
+function getWinnerCell(colNumbers, rowNumbers, score1, score2) {
+  if (!colNumbers || !rowNumbers || score1 == null || score2 == null) return null;
+  const colIdx = colNumbers.findIndex((h) => headerDigits(h).includes(score1 % 10));
+  const rowIdx = rowNumbers.findIndex((h) => headerDigits(h).includes(score2 % 10));
+  return colIdx >= 0 && rowIdx >= 0 ? { row: rowIdx, col: colIdx } : null;
+}
+
+// Re-drawn pools keep the first period's numbers on colNumbers/rowNumbers and
+// every later period's in periodAxes. Overtime plays on the final period's
+// numbers unless drawn.
+function getPeriodAxes(pool, period) {
+  const base = { colNumbers: pool.colNumbers, rowNumbers: pool.rowNumbers };
+  if (!pool.redrawAxes || !period || period === "q1") return base;
+  const set = pool.periodAxes?.[period];
+  if (set?.colNumbers && set?.rowNumbers) return set;
+  return period === OT ? getPeriodAxes(pool, getFinalPeriod(getSport(pool))) : { colNumbers: null, rowNumbers: null };
+}
+
+// Axis period for a game period number (past the last is overtime) or a game minute
+const periodOfGame = (period, sport) => (
+  period > sport.periods ? OT : PERIOD_KEYS[Math.max(1, period || 1) - 1]
+);
+const periodOfMinute = (minute, sport) => (
+  PERIOD_KEYS[Math.min(sport.periods - 1, Math.floor((minute - 1) / sport.periodMinutes))]
+);
+
+const emptyPeriodAxes = (size) => Object.fromEntries(AXIS_PERIODS.slice(1).map((q) => [q, {
+  colNumbers: Array(size.cols).fill(null),
+  rowNumbers: Array(size.rows).fill(null),
+}]));
+
+// Secondary winners around a main winning cell. Neighbors wrap around the
+// grid edges; on small grids the same square is only paid once.
+function getSideWinCells(pool, axes, cell, colScore, rowScore) {
+  const rules = { ...SIDE_PRIZES, ...pool.sidePrizes };
+  const { rows, cols } = getGridSize(pool);
+  const found = [];
+  if (rules.reverse) {
+    const rev = getWinnerCell(axes.colNumbers, axes.rowNumbers, rowScore, colScore);
+    if (rev && (rev.row !== cell.row || rev.col !== cell.col)) found.push({ kind: "reverse", cell: rev });
+  }
+  const seen = new Set([`${cell.row}-${cell.col}`]);
+  (NEIGHBOR_STEPS[rules.neighbors] || []).forEach(([dr, dc]) => {
+    const at = { row: (cell.row + dr + rows) % rows, col: (cell.col + dc + cols) % cols };
+    const key = `${at.row}-${at.col}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    found.push({ kind: "neighbor", cell: at });
+  });
+  return found;
+}
+
+// Score pairs are stored as [away, home]; the grid reads them as [column, row]
+// according to which team the pool put on the columns.
+function getAxisScores(pool, pair) {
+  if (!pair) return pair;
+  return pool.columnsTeam === "home" ? [pair[1], pair[0]] : pair;
+}
+
+function getAxisSlot(pool, idx) {
+  return pool.columnsTeam === "home" ? 1 - idx : idx;
+}
+
+function getPeriodLabel(period, sport) {
+  if (!period) return "";
+  if (period <= sport.periods) return `${sport.short}${period}`;
+  const ot = period - sport.periods;
+  return ot === 1 ? "OT" : `${ot}OT`;
+}
+
+function formatScoreMoment(entry, sport) {
+  if (!entry) return "";
+  const period = getPeriodLabel(entry.period, sport);
+  return [period, entry.clock].filter(Boolean).join(" ");
+}
+
+// Append the game's current score to the pool's timeline if it changed since the
+// last poll. Period-end totals from the linescores are backfilled first so
+// scores that came and went while the app was backgrounded still settle.
+function recordScoreChange(pool, game) {
+  if (!game) return pool;
+  const away = game.awayScore;
+  const home = game.homeScore;
+  const last = pool.lastKnownScore;
+  if (last && last.away === away && last.home === home) return pool;
+  if (!last && away === 0 && home === 0) return pool;
+
+  const at = Date.now();
+  const history = [...(pool.scoreHistory || [])];
+  const seen = new Set(history.map((h) => `${h.away}-${h.home}`));
+  const prevAway = last?.away ?? 0;
+  const prevHome = last?.home ?? 0;
+  const aq = game.linescores?.away || [];
+  const hq = game.linescores?.home || [];
+  let aRunning = 0, hRunning = 0;
+  for (let i = 0; i < Math.min(aq.length, game.period - 1); i++) {
+    aRunning += aq[i] || 0;
+    hRunning += hq[i] || 0;
+    const key = `${aRunning}-${hRunning}`;
+    if (seen.has(key) || (aRunning === away && hRunning === home)) continue;
+    if (aRunning + hRunning === 0) continue;
+    if (aRunning < prevAway || hRunning < prevHome || aRunning > away || hRunning > home) continue;
+    seen.add(key);
+    history.push({ away: aRunning, home: hRunning, period: i + 1, clock: "0:00", at, backfilled: true });
+  }
+
+  const entry = { away, home, period: game.period, clock: game.clock, at };
+  history.push(entry);
+  return { ...pool, scoreHistory: history, lastKnownScore: entry };
+}
+
+function parseClock(clock) {
+  if (!clock) return null;
+  const parts = String(clock).split(":").map((p) => parseFloat(p));
+  if (parts.some((p) => Number.isNaN(p))) return null;
+  return parts.length === 2 ? parts[0] * 60 + parts[1] : parts[0];
+}
+
+// Game minutes elapsed in regulation, from the period and the remaining clock
+function getElapsedMinutes(game, sport) {
+  if (!game || !game.period) return null;
+  if (game.period > sport.periods) return getGameMinutes(sport);
+  const remaining = parseClock(game.clock);
+  if (remaining == null) return null;
+  const intoPeriod = sport.periodMinutes - Math.min(sport.periodMinutes, remaining / 60);
+  return (game.period - 1) * sport.periodMinutes + intoPeriod;
+}
+
+// Fill every minute boundary crossed since the last poll. Boundaries we slept
+// through get the last known score, since we can't tell when a change landed;
+// a boundary hit exactly (clock at 0:00) takes the current score.
+function recordMinuteScores(pool, game) {
+  const sport = getSport(pool);
+  const elapsed = getElapsedMinutes(game, sport);
+  if (elapsed == null) return pool;
+  const reached = Math.floor(elapsed);
+  const gameMinutes = getGameMinutes(sport);
+  const ledger = pool.minuteScores ? [...pool.minuteScores] : Array(gameMinutes).fill(null);
+  const filled = ledger.findIndex((m) => m == null);
+  const from = filled === -1 ? gameMinutes : filled;
+  if (reached <= from) return pool;
+
+  // Boundaries at the end of completed periods are known exactly
+  const quarterEnds = {};
+  const aq = game.linescores?.away || [];
+  const hq = game.linescores?.home || [];
+  let aRunning = 0, hRunning = 0;
+  for (let i = 0; i < Math.min(aq.length, game.period - 1, sport.periods); i++) {
+    aRunning += aq[i] || 0;
+    hRunning += hq[i] || 0;
+    quarterEnds[(i + 1) * sport.periodMinutes] = { away: aRunning, home: hRunning };
+  }
+
+  const last = pool.lastKnownScore || { away: 0, home: 0 };
+  const current = { away: game.awayScore, home: game.homeScore };
+  for (let m = from; m < reached; m++) {
+    const boundary = m + 1;
+    if (quarterEnds[boundary]) ledger[m] = quarterEnds[boundary];
+    else if (boundary === elapsed) ledger[m] = current;
+    else ledger[m] = { away: last.away, home: last.home };
+  }
+  return { ...pool, minuteScores: ledger };
+}
+
+// Running totals at the end of each of the sport's periods
+function getQuarterScores(game, sport) {
+  if (!game) return {};
+  const scores = {};
+  const aq = game.linescores?.away || [];
+  const hq = game.linescores?.home || [];
+  let aRunning = 0, hRunning = 0;
+  for (let i = 0; i < sport.periods; i++) {
+    aRunning += aq[i] || 0;
+    hRunning += hq[i] || 0;
+    if (aq[i] !== undefined) {
+      scores[PERIOD_KEYS[i]] = [aRunning, hRunning];
+    }
+  }
+  // Every overtime period rolls into one running total: the true final score.
+  // A hockey shootout's line counts attempts scored, not the one goal the
+  // winner is credited with, so it takes the game score instead.
+  if (aq.length > sport.periods) {
+    for (let i = sport.periods; i < aq.length; i++) {
+      aRunning += aq[i] || 0;
+      hRunning += hq[i] || 0;
+    }
+    const shootout = sport.shootout && aq.length > sport.periods + 1;
+    scores[OT] = shootout ? [game.awayScore, game.homeScore] : [aRunning, hRunning];
+  }
+  return scores;
+}
+
+function getPoolWins(pool, game) {
+  const results = [];
+  if (!pool.colNumbers || !pool.rowNumbers) return results;
+  const sport = getSport(pool);
+
+  // Side-prize wins follow their main win, labelled after it and pointing
+  // back to it through `parent`
+  const pushWin = (quarter, away, home, extra, axisPeriod = extra.period) => {
+    const [colScore, rowScore] = getAxisScores(pool, [away, home]);
+    const axes = getPeriodAxes(pool, axisPeriod);
+    const cell = getWinnerCell(axes.colNumbers, axes.rowNumbers, colScore, rowScore);
+    if (!cell) return;
+    const win = (at, fields) => ({
+      ...extra,
+      axisPeriod,
+      score: `${colScore}-${rowScore}`,
+      digits: `${colScore % 10}, ${rowScore % 10}`,
+      cell: at,
+      isMine: pool.mySquares[at.row][at.col],
+      owner: pool.owners?.[at.row]?.[at.col] || "",
+      ...fields,
+    });
+    results.push(win(cell, { kind: "main", quarter, amount: getWinAmount(pool, extra.period) }));
+    getSideWinCells(pool, axes, cell, colScore, rowScore).forEach((side) => {
+      results.push(win(side.cell, {
+        kind: side.kind,
+        quarter: `${quarter} · ${SIDE_PRIZE_LABELS[side.kind]}`,
+        parent: quarter,
+        amount: getSideAmount(pool, side.kind),
+      }));
+    });
+  };
+
+  // Every-score pools pay on each entry of the recorded timeline
+  const history = pool.scoreHistory || [];
+  if (pool.type === "every_score" && history.length > 0) {
+    history.forEach((h, i) => {
+      pushWin(`Score ${i + 1} · ${formatScoreMoment(h, sport)}`, h.away, h.home, { period: "score", index: i }, periodOfGame(h.period, sport));
+    });
+    return results;
+  }
+
+  const minuteScores = pool.minuteScores || [];
+  if (pool.type === "minute" && minuteScores.some(Boolean)) {
+    minuteScores.forEach((m, i) => {
+      if (!m) return;
+      pushWin(`Minute ${i + 1}`, m.away, m.home, { period: "minute", minute: i + 1 }, periodOfMinute(i + 1, sport));
+    });
+    return results;
+  }
+
+  const scores = game ? getQuarterScores(game, sport) : pool.scores;
+  const names = getPeriodNames(sport);
+  const final = getFinalPeriod(sport);
+  const otScore = scores[OT];
+  const otCounts = pool.otCountsForFinal !== false && otScore?.[0] != null && otScore?.[1] != null;
+  getPayoutPeriods(pool.type, sport).forEach((q) => {
+    const onOT = q === final && otCounts;
+    const s = onOT ? otScore : scores[q];
+    if (!s || s[0] == null || s[1] == null) return;
+    const label = onOT ? `${names[final]} (${names[OT]})` : names[q];
+    pushWin(label, s[0], s[1], { period: q }, onOT ? OT : q);
+  });
+
+  return results;
+}
+
+// Fold a freshly polled game into a pool: quarter scores, the columns team
+// for older pools, the minute ledger and the score timeline.
+function applyLiveGame(pool, game) {
+  const qs = getQuarterScores(game, getSport(pool));
+  const newScores = { ...pool.scores };
+  AXIS_PERIODS.forEach((q) => {
+    if (qs[q]) newScores[q] = qs[q];
+  });
+  // Pools saved before the mapping was persisted: infer it from the labels
+  const columnsTeam = pool.columnsTeam || (pool.team1 === game.homeAbbr ? "home" : "away");
+  let next = { ...pool, columnsTeam, scores: newScores };
+  if (next.type === "minute") next = recordMinuteScores(next, game);
+  return recordScoreChange(next, game);
+}
+
+// ─── Multi-Game Pools ──────────────────────────────────────
+// A pool can cover a set of games (`pool.games`), picked by hand or filled
+// from a team's schedule (`pool.gameRule`). Each game keeps its own scores
+// in pool.gameResults[id], and the single-game helpers run on a view of the
+// pool for one game (poolForGame) that mergeGameView writes back.
+const GAME_RESULT_KEYS = ["scores", "scoreHistory", "minuteScores", "lastKnownScore"];
+const GAME_VIEW_KEYS = [
+  "gameId", "gameDate", "columnsTeam", "potShare", "team1", "team2", "team1Full", "team2Full", "awayAbbr", "homeAbbr",
+];
+
+const isMultiGame = (pool) => Array.isArray(pool?.games) && pool.games.length > 0;
+
+// The games a pool follows, as { gameId, gameDate, sport } for the poller
+function getLinkedGames(pool) {
+  const sport = SPORTS[pool.sport] ? pool.sport : DEFAULT_SPORT;
+  if (isMultiGame(pool)) return pool.games.map((g) => ({ gameId: g.id, gameDate: g.date || null, sport }));
+  return pool.gameId ? [{ gameId: pool.gameId, gameDate: pool.gameDate, sport }] : [];
+}
+
+// The stored entry for a game picked into a multi-game pool
+const toGameEntry = (game) => ({
+  id: game.id,
+  date: game.boardDate || toBoardDate(game.startTime),
+  startTime: game.startTime || null,
+  awayAbbr: game.awayAbbr, homeAbbr: game.homeAbbr,
+  awayTeam: game.awayTeam, homeTeam: game.homeTeam,
+});
+
+function getGameLabel(entry) {
+  const day = entry.startTime
+    ? new Date(entry.startTime).toLocaleDateString([], { month: "short", day: "numeric" })
+    : "";
+  return [`${entry.awayAbbr} @ ${entry.homeAbbr}`, day].filter(Boolean).join(" · ");
+}
+
+// Team-rule pools put the followed team on the columns ("team") or the
+// rows ("opponent"); picked games use the away/home sides directly.
+function getGameColumnsTeam(pool, entry) {
+  const team = pool.gameRule?.team;
+  if (!team || (pool.columnsTeam !== "team" && pool.columnsTeam !== "opponent")) {
+    return pool.columnsTeam === "home" ? "home" : "away";
+  }
+  return (pool.columnsTeam === "team") === (entry.homeAbbr === team) ? "home" : "away";
+}
+
+// The pot is split evenly across a pool's games. A game's cut is frozen on
+// its entry once it ends, so games the schedule adds later only share what
+// the unfinished games have left.
+function getOpenPotShare(pool) {
+  const open = pool.games.filter((g) => g.potShare == null);
+  const frozen = pool.games.reduce((sum, g) => sum + (g.potShare ?? 0), 0);
+  return open.length ? Math.max(0, 1 - frozen) / open.length : 0;
+}
+
+function poolForGame(pool, gameId) {
+  const entry = pool.games.find((g) => g.id === gameId) || {};
+  const columnsTeam = getGameColumnsTeam(pool, entry);
+  const home = columnsTeam === "home";
+  return {
+    ...pool,
+    scores: emptyScores(),
+    scoreHistory: [],
+    minuteScores: null,
+    lastKnownScore: null,
+    ...pool.gameResults?.[gameId],
+    gameId,
+    gameDate: entry.date || null,
+    columnsTeam,
+    potShare: entry.potShare ?? getOpenPotShare(pool),
+    awayAbbr: entry.awayAbbr, homeAbbr: entry.homeAbbr,
+    team1: home ? entry.homeAbbr : entry.awayAbbr,
+    team2: home ? entry.awayAbbr : entry.homeAbbr,
+    team1Full: home ? entry.homeTeam : entry.awayTeam,
+    team2Full: home ? entry.awayTeam : entry.homeTeam,
+  };
+}
+
+// Write a per-game view back: tracking fields land in that game's results,
+// shared edits (my squares, owners) on the pool itself
+function mergeGameView(pool, view) {
+  if (!isMultiGame(pool)) return view;
+  const shared = Object.fromEntries(Object.entries(view)
+    .filter(([k]) => !GAME_RESULT_KEYS.includes(k) && !GAME_VIEW_KEYS.includes(k)));
+  const result = Object.fromEntries(GAME_RESULT_KEYS.map((k) => [k, view[k]]));
+  return { ...pool, ...shared, gameResults: { ...pool.gameResults, [view.gameId]: result } };
+}
+
+function applyLiveGames(pool, games) {
+  if (!isMultiGame(pool)) return pool.gameId && games[pool.gameId] ? applyLiveGame(pool, games[pool.gameId]) : pool;
+  // Games that just ended keep the cut they were playing for
+  const share = getOpenPotShare(pool);
+  const ended = (g) => g.potShare == null && games[g.id]?.state === "post";
+  const start = pool.games.some(ended)
+    ? { ...pool, games: pool.games.map((g) => (ended(g) ? { ...g, potShare: share } : g)) }
+    : pool;
+  return start.games.reduce((acc, g) => (
+    games[g.id] ? mergeGameView(acc, applyLiveGame(poolForGame(acc, g.id), games[g.id])) : acc
+  ), start);
+}
+
+// Wins across every game a pool covers, tagged with their game. Multi-game
+// labels lead with the game so side-prize parents stay unique.
+function getAllPoolWins(pool, liveGames = {}) {
+  if (!isMultiGame(pool)) {
+    const game = pool.gameId ? liveGames[pool.gameId] || null : null;
+    return getPoolWins(pool, game).map((w) => ({ ...w, gameId: pool.gameId }));
+  }
+  return pool.games.flatMap((g) => {
+    const label = getGameLabel(g);
+    return getPoolWins(poolForGame(pool, g.id), liveGames[g.id] || null).map((w) => ({
+      ...w,
+      gameId: g.id,
+      gameLabel: label,
+      quarter: `${label} · ${w.quarter}`,
+      ...(w.parent ? { parent: `${label} · ${w.parent}` } : {}),
+    }));
+  });
+}
+
+// Team-rule pools pick up games added to the schedule since they were
+// saved, such as the next playoff round
+async function resolveRuleGames(provider, rule, sportKey) {
+  const types = rule.seasonType === "all" ? [2, 3] : [Number(rule.seasonType) || 2];
+  const lists = await Promise.all(types.map((t) => provider.fetchTeamSchedule(rule.team, rule.season, t, sportKey)));
+  if (lists.every((l) => l == null)) return null;
+  const seen = new Set();
+  return lists.flat().filter((g) => g && !seen.has(g.id) && seen.add(g.id))
+    .map(toGameEntry)
+    .sort((a, b) => (Date.parse(a.startTime) || 0) - (Date.parse(b.startTime) || 0));
+}
+
+const GAME_MODES = [
+  { key: "single", label: "One game" },
+  { key: "multi", label: "Several games" },
+  { key: "team", label: "Team's season" },
+];
+const SEASON_TYPES = [
+  { value: 2, label: "Regular season" },
+  { value: 3, label: "Playoffs" },
+  { value: "all", label: "Both" },
+];
+
+// Axis labels for a multi-game pool: the followed team against whoever it
+// plays, or away against home for picked games
+function getMultiGameTeams(team, columnsTeam) {
+  const [cols, rows] = team ? [team, "Opponent"] : ["Away", "Home"];
+  const flip = columnsTeam === "home" || columnsTeam === "opponent";
+  const [team1, team2] = flip ? [rows, cols] : [cols, rows];
+  return { team1, team2, team1Full: team1, team2Full: team2 };
+}
+
+// A period's winner is provisional until the game moves past it; the final
+// (and any overtime) only settles once the game is over.
+function isWinSettled(win, game, sport) {
+  if (!game || win.period === "score" || win.period === "minute") return true;
+  if (game.state === "post" || game.status === "Final") return true;
+  if (win.period === getFinalPeriod(sport)) return false;
+  return game.period > PERIOD_KEYS.indexOf(win.period) + 1;
+}
+
+// Notification key for a win: its game and period, then the minute or
+// score number and any side prize. Labels carry dates and can't be keys.
+function getWinKey(win) {
+  return [win.gameId, win.period, win.minute ?? win.index, win.kind !== "main" ? win.kind : null]
+    .filter((v) => v != null).join(":");
+}
+
+// Settled wins on my squares that haven't been announced yet, one event per
+// pool and period. Keys are stored on the pool so re-polls stay quiet. The
+// first poll of a game also stores its game id, and wins already settled by
+// then are recorded as quiet events instead of firing.
+function collectWinEvents(pools, games) {
+  const events = [];
+  pools.forEach((pool) => {
+    const polled = getLinkedGames(pool).filter((l) => games[l.gameId]);
+    if (polled.length === 0) return;
+    const next = applyLiveGames(pool, games);
+    const known = new Set(pool.notifiedWins || []);
+    const seen = new Set(known);
+    getAllPoolWins(next, games).forEach((w) => {
+      const game = games[w.gameId];
+      if (!game || !w.isMine || !isWinSettled(w, game, getSport(pool))) return;
+      const key = getWinKey(w);
+      if (seen.has(key)) return;
+      seen.add(key);
+      events.push({
+        poolId: pool.id,
+        key,
+        quiet: !known.has(w.gameId),
+        tag: `${pool.id}:${key}`,
+        title: `🏆 You won in ${pool.name}`,
+        body: `${w.quarter}: ${pool.team1} ${w.score} ${pool.team2}` +
+          (w.amount > 0 ? ` · ${formatMoney(w.amount)}` : ""),
+      });
+    });
+    polled.forEach((l) => {
+      if (!known.has(l.gameId)) events.push({ poolId: pool.id, key: l.gameId, quiet: true });
+    });
+  });
+  return events;
+}
+
+async function showNotification(title, options) {
+  if (!("Notification" in window) || Notification.permission !== "granted") return;
+  try {
+    new Notification(title, options);
+  } catch {
+    // Mobile Chrome only allows notifications through a service worker
+    const reg = await navigator.serviceWorker?.getRegistration();
+    reg?.showNotification(title, options);
+  }
+}
+
+// ─── Odds ──────────────────────────────────────────────────
+// Chance of each last digit after `minutes` more of play, starting from
+// `digit`: a Poisson number of scoring plays, each shifting the digit.
+// Basketball sees dozens of plays a game, so the sum runs well past the mean.
+function projectDigit(digit, minutes, scoring) {
+  const dist = Array(10).fill(0);
+  const lambda = Math.max(0, minutes) * scoring.playsPerMinute;
+  const maxPlays = Math.max(30, Math.ceil(lambda + 6 * Math.sqrt(lambda)));
+  let current = Array(10).fill(0);
+  current[digit] = 1;
+  let pmf = Math.exp(-lambda);
+  for (let k = 0; k <= maxPlays; k++) {
+    for (let d = 0; d < 10; d++) dist[d] += pmf * current[d];
+    const next = Array(10).fill(0);
+    for (let d = 0; d < 10; d++) {
+      if (!current[d]) continue;
+      scoring.plays.forEach((play) => { next[(d + play.points) % 10] += current[d] * play.p; });
+    }
+    current = next;
+    pmf *= lambda / (k + 1);
+  }
+  const total = dist.reduce((a, b) => a + b, 0);
+  return dist.map((p) => p / total);
+}
+
+// Periods (or minute boundaries) still to be decided, with their prize and
+// the game minute at which each settles.
+function getOddsTargets(pool, game) {
+  const sport = getSport(pool);
+  const elapsed = game && game.state !== "pre" ? getElapsedMinutes(game, sport) ?? 0 : 0;
+  if (pool.type === "minute") {
+    return Array.from({ length: getGameMinutes(sport) }, (_, i) => i + 1)
+      .filter((m) => m > elapsed)
+      .map((m) => ({
+        key: `m${m}`, label: `Min ${m}`, endsAt: m, period: periodOfMinute(m, sport), prize: getWinAmount(pool, "minute"),
+      }));
+  }
+  const names = getPeriodNames(sport);
+  const final = getFinalPeriod(sport);
+  const periods = pool.type === "every_score" ? [final] : getPayoutPeriods(pool.type, sport);
+  // Overtime runs past regulation, so the final stays open until the game
+  // ends unless it settles on the regulation score
+  const finalOpen = pool.otCountsForFinal !== false;
+  return periods
+    .map((q) => ({
+      key: q, label: names[q], period: q, endsAt: (PERIOD_KEYS.indexOf(q) + 1) * sport.periodMinutes,
+    }))
+    .filter((t) => {
+      if (game) return game.state !== "post" && (t.endsAt > elapsed || (t.key === final && finalOpen));
+      return pool.scores[t.key]?.[0] == null;
+    })
+    .map((t) => ({ ...t, prize: pool.type === "every_score" ? 0 : getWinAmount(pool, t.key) }));
+}
+
+// Per-cell chance to win each remaining target, plus expected winnings.
+// Before kickoff the sport's historical table is used where it has one;
+// otherwise each team's digit is projected forward from its current score
+// (0-0 before the start) over the time left.
+function getSquareOdds(pool, game) {
+  if (!pool.colNumbers || !pool.rowNumbers) return null;
+  const sport = getSport(pool);
+  const targets = getOddsTargets(pool, game);
+  const live = game && game.state === "in";
+  const elapsed = live ? getElapsedMinutes(game, sport) ?? 0 : 0;
+  const [colScore, rowScore] = live ? getAxisScores(pool, [game.awayScore, game.homeScore]) : [0, 0];
+  const dists = targets.map((t) => {
+    const prior = sport.digits?.[t.key];
+    if (!live && prior) return [prior, prior];
+    // In overtime only the current period's clock is left to play
+    const minutes = live && game.period > sport.periods
+      ? (parseClock(game.clock) ?? 0) / 60
+      : t.endsAt - elapsed;
+    return [projectDigit(colScore % 10, minutes, sport.scoring), projectDigit(rowScore % 10, minutes, sport.scoring)];
+  });
+  const { rows, cols } = getGridSize(pool);
+  const axes = targets.map((t) => getPeriodAxes(pool, t.period));
+  const chance = (dist, header) => headerDigits(header).reduce((sum, d) => sum + dist[d], 0);
+  const cells = Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => {
+    const byTarget = dists.map(([colDist, rowDist], i) => (
+      chance(colDist, axes[i].colNumbers?.[c]) * chance(rowDist, axes[i].rowNumbers?.[r])
+    ));
+    const expected = byTarget.reduce((sum, p, i) => sum + p * targets[i].prize, 0);
+    return { byTarget, expected };
+  }));
+  return { targets, cells };
+}
+
+// ═══════════════════════════════════════════════════════════
+//  PHOTO UPLOAD + GRID OVERLAY
+// ═══════════════════════════════════════════════════════════
+// Progress bar for a running scan; Cancel stops the shared OCR worker
+function OcrProgress({ progress }) {
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+      <div style={{ flex: 1, height: 6, borderRadius: 3, background: C.border, overflow: "hidden" }}>
+        <div style={{
+          width: `${Math.round((progress || 0) * 100)}%`, height: "100%",
+          background: C.accent, transition: "width 0.2s",
+        }} />
+      </div>
+      <button style={{ ...btnStyle(C.border), padding: "4px 12px", fontSize: 12 }} onClick={cancelOcr}>
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+function GridSizePicker({ gridSize, onChange }) {
+  const preset = GRID_PRESETS.find((p) => p.rows === gridSize.rows && p.cols === gridSize.cols);
+  const [custom, setCustom] = useState(!preset);
+  const sizes = Array.from({ length: GRID.max - GRID.min + 1 }, (_, i) => GRID.min + i);
+  const perHeader = [digitsPerHeader(gridSize.cols), digitsPerHeader(gridSize.rows)];
+  const optionStyle = (active) => ({
+    flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer",
+    border: active ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+    background: active ? "rgba(59,130,246,0.15)" : C.card,
+    color: C.text, fontWeight: 600, fontSize: 12,
+  });
+
+  return (
+    <div style={{ textAlign: "left" }}>
+      <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Grid size</label>
+      <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+        {GRID_PRESETS.map((p) => (
+          <button key={p.label} style={optionStyle(!custom && preset === p)}
+            onClick={() => { setCustom(false); onChange({ rows: p.rows, cols: p.cols }); }}>
+            {p.label}
+          </button>
+        ))}
+        <button style={optionStyle(custom)} onClick={() => setCustom(true)}>Custom</button>
+      </div>
+      {custom && (
+        <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+          {[{ key: "rows", label: "Rows" }, { key: "cols", label: "Columns" }].map((d) => (
+            <div key={d.key} style={{ flex: 1 }}>
+              <span style={{ color: C.textMuted, fontSize: 11 }}>{d.label}</span>
+              <select style={{ ...inputStyle, marginTop: 4 }} value={gridSize[d.key]}
+                onChange={(e) => onChange({ ...gridSize, [d.key]: Number(e.target.value) })}>
+                {sizes.map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+      {(perHeader[0] > 1 || perHeader[1] > 1) && (
+        <div style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>
+          Each header holds up to {Math.max(...perHeader)} digits
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PhotoStep({ photo, onPhotoChange, onSkip, gridSize, onGridSizeChange }) {
+  const cameraRef = useRef(null);
+  const libraryRef = useRef(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => onPhotoChange(reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  return (
+    <div style={{ padding: 20, textAlign: "center" }}>
       <div style={{ fontSize: 48, marginBottom: 8 }}>📸</div>
       <h2 style={{ color: C.text, margin: "0 0 8px" }}>Upload Your Grid</h2>
       <p style={{ color: C.textDim, fontSize: 14, margin: "0 0 24px" }}>
-        Take a photo of your Super Bowl squares grid, or upload one from your gallery
+        Take a photo of your squares grid, or upload one from your gallery
       </p>
+      <div style={{ marginBottom: 20 }}>
+        <GridSizePicker gridSize={gridSize} onChange={onGridSizeChange} />
+      </div>
       <input
         ref={cameraRef}
         type="file"
@@ -503,6 +2322,8 @@ function PhotoStep({ photo, onPhotoChange, onSkip }) {
 
 function GridAlignStep({
   photo,
+  gridSize,
+  onGridSizeChange,
   gridBounds,
   setGridBounds,
   onDetectGrid,
@@ -511,11 +2332,79 @@ function GridAlignStep({
   ocrStatus,
   onRotate,
   onToggleOrientation,
+  doneLabel = "Grid Aligned — Select My Squares",
+  onStraighten,
   onDone,
 }) {
   const containerRef = useRef(null);
   const dragRef = useRef(null);
   const imgRef = useRef(null);
+  const [cornerMode, setCornerMode] = useState(false);
+  const [corners, setCorners] = useState(null);
+  const [straighten, setStraighten] = useState({ loading: false, error: "" });
+
+  const startCorners = () => {
+    const { x, y, w, h } = gridBounds;
+    setCorners([{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]);
+    setStraighten({ loading: false, error: "" });
+    setCornerMode(true);
+  };
+
+  // Corners live in the photo's coordinates, measured from the <img> rather
+  // than its bordered container so they match what the warp sees
+  const handleCornerDown = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = imgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const move = (ev) => {
+      const x = Math.max(0, Math.min(rect.width, ev.clientX - rect.left));
+      const y = Math.max(0, Math.min(rect.height, ev.clientY - rect.top));
+      setCorners((prev) => prev.map((p, i) => (i === index ? { x, y } : p)));
+    };
+    const up = () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+  };
+
+  // Warp the photo so the four corners become the grid rectangle.
+  // Resolves to the straightened photo's display size, or null on failure.
+  const applyCorners = async () => {
+    const rect = imgRef.current?.getBoundingClientRect();
+    if (!rect || straighten.loading) return null;
+    setStraighten({ loading: true, error: "" });
+    try {
+      const next = await onStraighten(corners, { width: rect.width, height: rect.height });
+      setStraighten({ loading: false, error: "" });
+      setCornerMode(false);
+      return next;
+    } catch (err) {
+      setStraighten({ loading: false, error: err?.message || "Couldn't straighten the photo." });
+      return null;
+    }
+  };
+
+  // Grid lines drawn through the same homography the warp will use
+  const cornerLines = useMemo(() => {
+    if (!cornerMode || !corners) return [];
+    let h;
+    try {
+      h = getHomography([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }], corners);
+    } catch {
+      return [];
+    }
+    const lines = [];
+    for (let c = 1; c < gridSize.cols; c++) {
+      lines.push([applyHomography(h, c / gridSize.cols, 0), applyHomography(h, c / gridSize.cols, 1)]);
+    }
+    for (let r = 1; r < gridSize.rows; r++) {
+      lines.push([applyHomography(h, 0, r / gridSize.rows), applyHomography(h, 1, r / gridSize.rows)]);
+    }
+    return lines;
+  }, [cornerMode, corners, gridSize]);
 
   const handlePointerDown = (e) => {
     e.preventDefault();
@@ -601,22 +2490,66 @@ function GridAlignStep({
     <div style={{ padding: 16 }}>
       <h3 style={{ color: C.text, margin: "0 0 4px" }}>Align the Grid</h3>
       <p style={{ color: C.textDim, fontSize: 13, margin: "0 0 12px" }}>
-        Drag the grid overlay to match your photo. Use +/- to resize.
+        {cornerMode
+          ? "Drag each corner onto the grid's outer corners, then straighten the photo."
+          : "Drag the grid overlay to match your photo. Use +/- to resize."}
       </p>
+      <div style={{ marginBottom: 12 }}>
+        <GridSizePicker gridSize={gridSize} onChange={onGridSizeChange} />
+      </div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+        {[{ corners: false, label: "Rectangle" }, { corners: true, label: "4 Corners" }].map((m) => {
+          const active = cornerMode === m.corners;
+          return (
+            <button key={m.label} style={{
+              flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer",
+              border: active ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+              background: active ? "rgba(59,130,246,0.15)" : C.card,
+              color: C.text, fontWeight: 600, fontSize: 12,
+            }} onClick={() => {
+              if (active) return;
+              if (m.corners) startCorners();
+              else setCornerMode(false);
+            }}>
+              {m.label}
+            </button>
+          );
+        })}
+      </div>
       <div ref={containerRef} style={{
         position: "relative", overflow: "hidden", borderRadius: 12,
         border: `2px solid ${C.border}`, touchAction: "none",
       }}>
         <img ref={imgRef} src={photo} alt="Grid" style={{ width: "100%", display: "block" }} />
-        <div
+        {cornerMode && corners && (
+          <>
+            <svg style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }}>
+              <polygon points={corners.map((p) => `${p.x},${p.y}`).join(" ")}
+                fill="rgba(59,130,246,0.08)" stroke="rgba(59,130,246,0.8)" strokeWidth={2} />
+              {cornerLines.map(([a, b], i) => (
+                <line key={i} x1={a.x} y1={a.y} x2={b.x} y2={b.y}
+                  stroke="rgba(59,130,246,0.4)" strokeWidth={1} />
+              ))}
+            </svg>
+            {corners.map((p, i) => (
+              <div key={i} onPointerDown={(e) => handleCornerDown(e, i)} style={{
+                position: "absolute", left: p.x, top: p.y, width: 22, height: 22,
+                transform: "translate(-50%, -50%)", borderRadius: 11,
+                background: "rgba(59,130,246,0.9)", border: "2px solid #fff", cursor: "move",
+              }} />
+            ))}
+          </>
+        )}
+        {!cornerMode && <div
           onPointerDown={handlePointerDown}
           style={{
             position: "absolute", left: gridBounds.x, top: gridBounds.y,
             width: gridBounds.w, height: gridBounds.h,
             border: "2px solid rgba(59,130,246,0.8)", borderRadius: 4,
             background: "rgba(59,130,246,0.08)", cursor: "grab",
-            display: "grid", gridTemplateColumns: "repeat(10, 1fr)",
-            gridTemplateRows: "repeat(10, 1fr)",
+            display: "grid",
+            gridTemplateColumns: edgeTemplate(gridEdges(gridBounds, gridSize.cols, "x")),
+            gridTemplateRows: edgeTemplate(gridEdges(gridBounds, gridSize.rows, "y")),
           }}
         >
           {["tl", "tr", "bl", "br", "t", "b", "l", "r"].map((handle) => (
@@ -643,80 +2576,116 @@ function GridAlignStep({
               }}
             />
           ))}
-          {Array.from({ length: 100 }, (_, i) => (
+          {Array.from({ length: getSquareCount(gridSize) }, (_, i) => (
             <div key={i} style={{
               border: "0.5px solid rgba(59,130,246,0.3)",
             }} />
           ))}
-        </div>
+        </div>}
       </div>
-      <div style={{ display: "flex", gap: 8, marginTop: 12, justifyContent: "center", alignItems: "center" }}>
-        <button style={btnStyle(C.border)} onClick={() => resize(-20)}>−</button>
-        <span style={{ color: C.textDim, fontSize: 13, minWidth: 60, textAlign: "center" }}>
-          {Math.round(gridBounds.w)}×{Math.round(gridBounds.h)}
-        </span>
-        <button style={btnStyle(C.border)} onClick={() => resize(20)}>+</button>
-      </div>
-      <button
-        style={{ ...btnStyle(C.border), width: "100%", marginTop: 10 }}
-        onClick={onRotate}
-      >
-        Rotate Photo 90°
-      </button>
-      <button
-        style={{ ...btnStyle(C.border), width: "100%", marginTop: 10 }}
-        onClick={onToggleOrientation}
-      >
-        Toggle Grid Orientation
-      </button>
-      <button
-        style={{ ...btnStyle(C.border), width: "100%", marginTop: 10, opacity: gridOcrStatus.loading ? 0.6 : 1 }}
-        onClick={() => {
-          if (gridOcrStatus.loading || !imgRef.current) return;
-          const rect = imgRef.current.getBoundingClientRect();
-          onDetectGrid({ width: rect.width, height: rect.height });
-        }}
-      >
-        {gridOcrStatus.loading ? "Detecting Grid..." : "Auto-detect Grid (beta)"}
-      </button>
-      {gridOcrStatus.error && (
-        <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
-          {gridOcrStatus.error}
-        </div>
-      )}
-      {gridOcrStatus.lastSuccess && (
-        <div style={{ color: C.green, fontSize: 12, marginTop: 6 }}>
-          Grid detected. Review alignment before continuing.
-        </div>
-      )}
-      <button
-        style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 10, opacity: ocrStatus.loading ? 0.6 : 1 }}
-        onClick={() => {
-          if (ocrStatus.loading || !imgRef.current) return;
-          const rect = imgRef.current.getBoundingClientRect();
-          onDetectNumbers({ width: rect.width, height: rect.height });
-        }}
-      >
-        {ocrStatus.loading ? "Detecting Numbers..." : "Auto-detect Axis Numbers"}
-      </button>
-      {ocrStatus.error && (
-        <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
-          {ocrStatus.error}
-        </div>
+      {cornerMode && (
+        <>
+          <button
+            style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 12, opacity: straighten.loading ? 0.6 : 1 }}
+            onClick={applyCorners}
+          >
+            {straighten.loading ? "Straightening..." : "Straighten Photo"}
+          </button>
+          {straighten.error && (
+            <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+              {straighten.error}
+            </div>
+          )}
+        </>
       )}
-      {ocrStatus.lastSuccess && (
-        <div style={{ color: C.green, fontSize: 12, marginTop: 6 }}>
-          Axis numbers detected. Review on the next step.
+      {!cornerMode && <>
+        <div style={{ display: "flex", gap: 8, marginTop: 12, justifyContent: "center", alignItems: "center" }}>
+          <button style={btnStyle(C.border)} onClick={() => resize(-20)}>−</button>
+          <span style={{ color: C.textDim, fontSize: 13, minWidth: 60, textAlign: "center" }}>
+            {Math.round(gridBounds.w)}×{Math.round(gridBounds.h)}
+          </span>
+          <button style={btnStyle(C.border)} onClick={() => resize(20)}>+</button>
         </div>
-      )}
-      <button style={{ ...btnStyle(C.accent), width: "100%", marginTop: 12 }} onClick={onDone}>
-        Grid Aligned — Select My Squares
+        <button
+          style={{ ...btnStyle(C.border), width: "100%", marginTop: 10 }}
+          onClick={onRotate}
+        >
+          Rotate Photo 90°
+        </button>
+        <button
+          style={{ ...btnStyle(C.border), width: "100%", marginTop: 10 }}
+          onClick={onToggleOrientation}
+        >
+          Toggle Grid Orientation
+        </button>
+        <button
+          style={{ ...btnStyle(C.border), width: "100%", marginTop: 10, opacity: gridOcrStatus.loading ? 0.6 : 1 }}
+          onClick={() => {
+            if (gridOcrStatus.loading || !imgRef.current) return;
+            const rect = imgRef.current.getBoundingClientRect();
+            onDetectGrid({ width: rect.width, height: rect.height });
+          }}
+        >
+          {gridOcrStatus.loading ? "Detecting Grid..." : "Auto-detect Grid (beta)"}
+        </button>
+        {gridOcrStatus.loading && <OcrProgress progress={gridOcrStatus.progress} />}
+        {gridOcrStatus.error && (
+          <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+            {gridOcrStatus.error}
+          </div>
+        )}
+        {gridOcrStatus.lastSuccess && (
+          <div style={{ color: C.green, fontSize: 12, marginTop: 6 }}>
+            Grid detected. Review alignment before continuing.
+          </div>
+        )}
+        <button
+          style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 10, opacity: ocrStatus.loading ? 0.6 : 1 }}
+          onClick={() => {
+            if (ocrStatus.loading || !imgRef.current) return;
+            const rect = imgRef.current.getBoundingClientRect();
+            onDetectNumbers({ width: rect.width, height: rect.height });
+          }}
+        >
+          {ocrStatus.loading ? "Detecting Numbers..." : "Auto-detect Axis Numbers"}
+        </button>
+        {ocrStatus.loading && <OcrProgress progress={ocrStatus.progress} />}
+        {ocrStatus.error && (
+          <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+            {ocrStatus.error}
+          </div>
+        )}
+        {ocrStatus.lastSuccess && (
+          <div style={{ color: C.green, fontSize: 12, marginTop: 6 }}>
+            Axis numbers detected. Review on the next step.
+          </div>
+        )}
+      </>}
+      <button style={{ ...btnStyle(C.accent), width: "100%", marginTop: 12 }} onClick={async () => {
+        // Unapplied corners are straightened first so later steps see the corrected photo
+        if (cornerMode) {
+          const next = await applyCorners();
+          if (next) onDone(next);
+          return;
+        }
+        const rect = imgRef.current?.getBoundingClientRect();
+        onDone(rect ? { width: rect.width, height: rect.height } : null);
+      }}>
+        {doneLabel}
       </button>
     </div>
   );
 }
 
-function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }) {
+function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, owners, onPickName, onDone }) {
+  const ownerNames = useMemo(() => {
+    const seen = new Map();
+    (owners || []).flat().forEach((o) => {
+      const key = normalizeName(o);
+      if (key && !seen.has(key)) seen.set(key, o.trim());
+    });
+    return [...seen.values()].sort((a, b) => a.localeCompare(b));
+  }, [owners]);
   const toggle = (r, c) => {
     setMySquares((prev) => {
       const next = prev.map((row) => [...row]);
@@ -726,7 +2695,9 @@ function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }
   };
 
   const count = mySquares.flat().filter(Boolean).length;
-  const cellSize = gridBounds.w / 10;
+  const rows = mySquares.length;
+  const cols = mySquares[0]?.length || GRID.size;
+  const cellSize = gridBounds.w / cols;
   const ratio = gridBounds.h / gridBounds.w;
 
   return (
@@ -735,6 +2706,13 @@ function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }
       <p style={{ color: C.textDim, fontSize: 13, margin: "0 0 12px" }}>
         Tap the squares that belong to you. Selected: <strong style={{ color: C.accent }}>{count}</strong>
       </p>
+      {ownerNames.length > 0 && (
+        <select style={{ ...inputStyle, marginBottom: 12 }} defaultValue=""
+          onChange={(e) => { if (e.target.value) onPickName(e.target.value); }}>
+          <option value="">Pick your name to select your squares…</option>
+          {ownerNames.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+      )}
       <div style={{ position: "relative", overflow: "hidden", borderRadius: 12, border: `2px solid ${C.border}` }}>
         {photo && <img src={photo} alt="Grid" style={{ width: "100%", display: "block" }} />}
         <div style={{
@@ -745,11 +2723,11 @@ function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }
           aspectRatio: photo ? undefined : `${1}/${ratio}`,
           height: photo ? gridBounds.h : undefined,
           display: "grid",
-          gridTemplateColumns: "repeat(10, 1fr)",
-          gridTemplateRows: "repeat(10, 1fr)",
+          gridTemplateColumns: edgeTemplate(gridEdges(photo && gridBounds, cols, "x")),
+          gridTemplateRows: edgeTemplate(gridEdges(photo && gridBounds, rows, "y")),
         }}>
-          {Array.from({ length: 10 }, (_, r) =>
-            Array.from({ length: 10 }, (_, c) => (
+          {Array.from({ length: rows }, (_, r) =>
+            Array.from({ length: cols }, (_, c) => (
               <div
                 key={`${r}-${c}`}
                 onClick={() => toggle(r, c)}
@@ -768,6 +2746,14 @@ function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }
                 {mySquares[r][c] && (
                   <span style={{ color: "#fff", fontSize: Math.max(8, cellSize * 0.35), fontWeight: 800 }}>✓</span>
                 )}
+                {!mySquares[r][c] && owners?.[r]?.[c] && (
+                  <span style={{
+                    color: C.textDim, fontSize: 8, overflow: "hidden", textOverflow: "ellipsis",
+                    whiteSpace: "nowrap", maxWidth: "100%",
+                  }}>
+                    {owners[r][c]}
+                  </span>
+                )}
               </div>
             ))
           )}
@@ -781,15 +2767,391 @@ function SquareSelectStep({ photo, gridBounds, mySquares, setMySquares, onDone }
   );
 }
 
+function OwnerReviewStep({ photo, owners, setOwners, myName, setMyName, onDetect, ownerOcrStatus, onDone }) {
+  const imgRef = useRef(null);
+  const cols = owners[0]?.length || GRID.size;
+  const total = owners.length * cols;
+  const filled = owners.flat().filter((o) => o.trim()).length;
+  const mineCount = owners.flat().filter((o) => isOwnerMe(o, myName)).length;
+
+  const setOwner = (r, c, value) => {
+    setOwners((prev) => {
+      const next = prev.map((row) => [...row]);
+      next[r][c] = value;
+      return next;
+    });
+  };
+
+  return (
+    <div style={{ padding: 16 }}>
+      <h3 style={{ color: C.text, margin: "0 0 4px" }}>Square Owners</h3>
+      <p style={{ color: C.textDim, fontSize: 13, margin: "0 0 12px" }}>
+        {photo ? "Read the names off your photo, then fix anything the scan got wrong."
+          : "Type in who has each square, or leave them blank to track only your own."}
+      </p>
+      {photo && (
+        <>
+          <img ref={imgRef} src={photo} alt="Grid" style={{
+            width: "100%", display: "block", borderRadius: 12, border: `2px solid ${C.border}`,
+          }} />
+          <button
+            style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 10, opacity: ownerOcrStatus.loading ? 0.6 : 1 }}
+            onClick={() => {
+              if (ownerOcrStatus.loading || !imgRef.current) return;
+              const rect = imgRef.current.getBoundingClientRect();
+              onDetect({ width: rect.width, height: rect.height });
+            }}
+          >
+            {ownerOcrStatus.loading ? `Reading Names... ${ownerOcrStatus.progress}/${total}` : "Read Names From Photo"}
+          </button>
+          {ownerOcrStatus.loading && <OcrProgress progress={ownerOcrStatus.progress / total} />}
+          {ownerOcrStatus.error && (
+            <div style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+              {ownerOcrStatus.error}
+            </div>
+          )}
+        </>
+      )}
+      <div style={{ marginTop: 12 }}>
+        <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Your name on the sheet</label>
+        <input style={{ ...inputStyle, marginTop: 4 }} placeholder="e.g. Sam"
+          value={myName} onChange={(e) => setMyName(e.target.value)} />
+        <div style={{ color: C.textMuted, fontSize: 12, marginTop: 4 }}>
+          {filled} named · {mineCount} match your name
+        </div>
+      </div>
+      <div style={{ overflowX: "auto", marginTop: 10 }}>
+        <div style={{ display: "grid", gridTemplateColumns: `repeat(${cols}, 1fr)`, gap: 2, minWidth: cols * 44 }}>
+          {owners.map((row, r) => row.map((owner, c) => (
+            <input
+              key={`${r}-${c}`}
+              value={owner}
+              onChange={(e) => setOwner(r, c, e.target.value)}
+              style={{
+                ...inputStyle, padding: "6px 2px", fontSize: 10, textAlign: "center", borderRadius: 4,
+                border: `1px solid ${isOwnerMe(owner, myName) ? C.mineBorder : C.border}`,
+                background: isOwnerMe(owner, myName) ? C.mine : C.card,
+              }}
+            />
+          )))}
+        </div>
+      </div>
+      <button style={{ ...btnStyle(C.accent), width: "100%", marginTop: 12 }} onClick={onDone}>
+        Owners Reviewed — Continue
+      </button>
+    </div>
+  );
+}
+
 // ═══════════════════════════════════════════════════════════
 //  POOL CONFIG STEP
 // ═══════════════════════════════════════════════════════════
-function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
+function PayoutConfig({ config, setConfig }) {
+  const payout = config.payout;
+  const sport = getSport(config);
+  const periods = getPayoutPeriods(config.type, sport);
+  const names = getPeriodNames(sport);
+  const { gross, net } = getPoolPot(config);
+  const squareCount = getSquareCount(config.gridSize);
+  const setPayout = (patch) => setConfig((c) => ({ ...c, payout: { ...c.payout, ...patch } }));
+  const numberInput = (value, onChange, placeholder, width = "100%") => (
+    <input
+      type="text"
+      inputMode="decimal"
+      style={{ ...inputStyle, width, marginTop: 4 }}
+      placeholder={placeholder}
+      value={value === 0 ? 0 : (value || "")}
+      onChange={(e) => onChange(cleanMoney(e.target.value))}
+    />
+  );
+  const percentTotal = periods.reduce((s, q) => s + (Number(payout.periods[q]) || 0), 0);
+  const side = { ...SIDE_PRIZES, ...config.sidePrizes };
+  const setSide = (patch) => setConfig((c) => ({ ...c, sidePrizes: { ...SIDE_PRIZES, ...c.sidePrizes, ...patch } }));
+  const toggleStyle = (active) => ({
+    flex: 1, padding: "6px 8px", borderRadius: 8, cursor: "pointer",
+    border: active ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+    background: active ? "rgba(59,130,246,0.15)" : C.card,
+    color: C.text, fontWeight: 600, fontSize: 12,
+  });
+
+  return (
+    <div>
+      <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Payouts</label>
+      <div style={{ display: "flex", gap: 8, marginTop: 4 }}>
+        <div style={{ flex: 1 }}>
+          <span style={{ color: C.textMuted, fontSize: 11 }}>Squares sold</span>
+          {numberInput(config.squaresSold, (v) => setConfig((c) => ({
+            ...c, squaresSold: v === "" ? "" : Math.min(squareCount, Math.round(v)),
+          })), String(squareCount))}
+        </div>
+        <div style={{ flex: 1 }}>
+          <span style={{ color: C.textMuted, fontSize: 11 }}>House cut %</span>
+          {numberInput(payout.houseCut, (v) => setPayout({ houseCut: v }), "0")}
+        </div>
+        <div style={{ flex: 1 }}>
+          <span style={{ color: C.textMuted, fontSize: 11 }}>Charity %</span>
+          {numberInput(payout.charity, (v) => setPayout({ charity: v }), "0")}
+        </div>
+      </div>
+
+      {periods.length > 0 && (
+        <>
+          <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+            {[{ key: "percent", label: "% of pot" }, { key: "fixed", label: "Fixed $" }].map((m) => (
+              <button key={m.key} onClick={() => setPayout({ mode: m.key })} style={{
+                flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer",
+                border: payout.mode === m.key ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+                background: payout.mode === m.key ? "rgba(59,130,246,0.15)" : C.card,
+                color: C.text, fontWeight: 600, fontSize: 12,
+              }}>
+                {m.label}
+              </button>
+            ))}
+          </div>
+          {payout.mode === "percent" && config.type === "quarters" && (
+            <div style={{ display: "flex", gap: 6, marginTop: 8, flexWrap: "wrap" }}>
+              {PAYOUT_PRESETS[sport.periods].map((p) => (
+                <button key={p.label} onClick={() => setPayout({ periods: { ...p.periods } })} style={{
+                  padding: "4px 10px", borderRadius: 8, border: `1px solid ${C.border}`,
+                  background: C.card, color: C.textDim, fontSize: 11, cursor: "pointer",
+                }}>
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+            {periods.map((q) => (
+              <div key={q} style={{ flex: 1 }}>
+                <span style={{ color: C.textMuted, fontSize: 11 }}>{names[q]}</span>
+                {numberInput(payout.periods[q], (v) => setPayout({
+                  periods: { ...payout.periods, [q]: v },
+                }), payout.mode === "percent" ? "%" : "$")}
+              </div>
+            ))}
+          </div>
+          {payout.mode === "percent" && percentTotal !== 100 && (
+            <p style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+              Period percentages add up to {percentTotal}%, not 100%.
+            </p>
+          )}
+        </>
+      )}
+
+      {periods.length === 0 && (
+        <div style={{ marginTop: 10 }}>
+          <span style={{ color: C.textMuted, fontSize: 11 }}>
+            Amount per {config.type === "minute" ? "minute" : "score"} ($)
+          </span>
+          {numberInput(payout.perScore, (v) => setPayout({ perScore: v }),
+            config.type === "minute" ? `${Math.round((net / getGameMinutes(sport)) * 100) / 100}` : "0")}
+        </div>
+      )}
+
+      <div style={{ marginTop: 10 }}>
+        <span style={{ color: C.textMuted, fontSize: 11 }}>Side prizes (paid on top of each winner)</span>
+        <div style={{ display: "flex", gap: 6, marginTop: 4, alignItems: "flex-end" }}>
+          <button style={toggleStyle(side.reverse)} onClick={() => setSide({ reverse: !side.reverse })}>
+            Reverse {side.reverse ? "on" : "off"}
+          </button>
+          {side.reverse && numberInput(side.reverseAmount, (v) => setSide({ reverseAmount: v }), "$ each", 90)}
+        </div>
+        <div style={{ display: "flex", gap: 6, marginTop: 6, alignItems: "flex-end" }}>
+          {[{ value: 0, label: "No touching" }, { value: 4, label: "4 touching" }, { value: 8, label: "8 touching" }].map((o) => (
+            <button key={o.value} style={toggleStyle(side.neighbors === o.value)} onClick={() => setSide({ neighbors: o.value })}>
+              {o.label}
+            </button>
+          ))}
+          {side.neighbors > 0 && numberInput(side.neighborAmount, (v) => setSide({ neighborAmount: v }), "$ each", 90)}
+        </div>
+      </div>
+
+      {gross > 0 && (
+        <p style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>
+          Pot {formatMoney(gross)}{net !== gross ? ` · ${formatMoney(net)} after cuts` : ""}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Zoomed crop of one header cell from the aligned photo
+function HeaderCrop({ photo, displayWidth, rect, size = 48 }) {
+  const zoom = size / Math.max(rect.w, rect.h);
+  return (
+    <div style={{
+      position: "relative", overflow: "hidden", flexShrink: 0, borderRadius: 6,
+      width: rect.w * zoom, height: rect.h * zoom, border: `1px solid ${C.border}`, background: "#fff",
+    }}>
+      <img src={photo} alt="" style={{
+        position: "absolute", maxWidth: "none", width: displayWidth * zoom,
+        left: -rect.x * zoom, top: -rect.y * zoom,
+      }} />
+    </div>
+  );
+}
+
+// Problems on one axis: headers sharing a digit, low-confidence reads not
+// yet checked, and a missing digit that can be filled in
+function AxisReview({ label, numbers, flags, confidence, preview, onAccept, onFill }) {
+  const { missing, conflicts } = checkAxis(numbers);
+  const fillSlot = missingDigitSlot(numbers);
+  const flagged = flags.flatMap((f, i) => (f ? [i] : []));
+  if (numbers.every((n) => n == null) || (!flagged.length && !missing.length)) return null;
+  const others = (i) => [...conflicts].filter((j) => j !== i && headerDigits(numbers[j])
+    .some((d) => headerDigits(numbers[i]).includes(d))).map((j) => j + 1).join(", ");
+
+  return (
+    <div style={{
+      marginTop: 8, padding: 10, borderRadius: 10, border: `1px solid ${C.border}`,
+      display: "flex", flexDirection: "column", gap: 8,
+    }}>
+      {flagged.map((i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          {preview?.(i) && <HeaderCrop {...preview(i)} />}
+          <div style={{ flex: 1, fontSize: 12, color: flags[i] === "conflict" ? C.red : C.orange }}>
+            {flags[i] === "conflict"
+              ? `${label} ${i + 1}: ${formatHeader(numbers[i])} is also in ${label.toLowerCase()} ${others(i)}`
+              : confidence[i] === 0
+                ? `${label} ${i + 1} filled in as ${formatHeader(numbers[i])}, the only digit missing`
+                : `${label} ${i + 1} read as ${formatHeader(numbers[i]) || "blank"} (${Math.round(confidence[i])}% sure)`}
+          </div>
+          {flags[i] === "low" && (
+            <button style={{ ...btnStyle(C.border), padding: "4px 10px", fontSize: 12 }} onClick={() => onAccept(i)}>
+              Looks right
+            </button>
+          )}
+        </div>
+      ))}
+      {missing.length > 0 && !conflicts.size && (
+        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <div style={{ flex: 1, fontSize: 12, color: C.textDim }}>
+            Missing {missing.join(", ")}
+          </div>
+          {fillSlot >= 0 && (
+            <button style={{ ...btnStyle(C.accentDark), padding: "4px 10px", fontSize: 12 }} onClick={onFill}>
+              Put {missing[0]} in {label.toLowerCase()} {fillSlot + 1}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ConfigStep({
+  config, setConfig, games, onFetchGames, onFetchSchedule, onDetectAxes, axesOcrStatus, axisConfidence, headerPreview,
+  submitLabel = "Create Pool", onDone,
+}) {
   const [dateInput, setDateInput] = useState("");
+  const sport = getSport(config);
+  const axisPeriods = getAxisPeriods(sport);
+  const axisLabels = getAxisLabels(sport);
+  // Periods, payouts and linked games all follow the sport
+  const setSport = (key) => setConfig((c) => {
+    const nextSport = SPORTS[key];
+    const type = getPoolTypes(nextSport).some((t) => t.key === c.type) ? c.type : "quarters";
+    return {
+      ...c, sport: key, type,
+      payout: { ...c.payout, periods: getDefaultPayout(type, nextSport).periods },
+      gameId: null, gameDate: null, games: [],
+      gameRule: { ...c.gameRule, season: currentSeason(nextSport) },
+    };
+  });
+  const [scheduleStatus, setScheduleStatus] = useState({ loading: false, error: "" });
+  const multi = config.gameMode !== "single";
+  const setGameMode = (mode) => setConfig((c) => {
+    if (mode === c.gameMode) return c;
+    const next = { ...c, gameMode: mode, gameId: null, gameDate: null, games: [] };
+    if (mode === "single") return { ...next, columnsTeam: "away" };
+    const columnsTeam = mode === "team" ? "team" : "away";
+    return { ...next, columnsTeam, ...getMultiGameTeams(mode === "team" && c.gameRule.team, columnsTeam) };
+  });
+  const setColumnsTeam = (columnsTeam) => setConfig((c) => ({
+    ...c, columnsTeam, ...getMultiGameTeams(c.gameMode === "team" && c.gameRule.team, columnsTeam),
+  }));
+  const setGameRule = (update) => setConfig((c) => {
+    const gameRule = { ...c.gameRule, ...update };
+    // A new rule needs a fresh schedule
+    return { ...c, gameRule, games: [], ...getMultiGameTeams(gameRule.team, c.columnsTeam) };
+  });
+  const toggleGame = (g) => setConfig((c) => ({
+    ...c,
+    games: c.games.some((e) => e.id === g.id)
+      ? c.games.filter((e) => e.id !== g.id)
+      : [...c.games, toGameEntry(g)].sort((a, b) => (Date.parse(a.startTime) || 0) - (Date.parse(b.startTime) || 0)),
+  }));
+  const findSchedule = async () => {
+    setScheduleStatus({ loading: true, error: "" });
+    const found = await onFetchSchedule(config.gameRule);
+    setScheduleStatus({ loading: false, error: found ? "" : "Could not load that team's schedule." });
+  };
+  const [multiCols, multiRows] = config.gameMode === "team"
+    ? [config.gameRule.team || "Team", "Opponent"] : ["Away teams", "Home teams"];
   const colRefs = useRef([]);
   const rowRefs = useRef([]);
   const focusCol = (idx) => colRefs.current[idx + 1]?.focus();
   const focusRow = (idx) => rowRefs.current[idx + 1]?.focus();
+  const colDigits = digitsPerHeader(config.colNumbers.length);
+  const rowDigits = digitsPerHeader(config.rowNumbers.length);
+  const headerInputStyle = { ...inputStyle, padding: "8px 4px", textAlign: "center", fontSize: 16, fontWeight: 700 };
+  const [axisPeriod, setAxisPeriod] = useState("q1");
+  // The first period (and pools that never re-draw) edit colNumbers/rowNumbers
+  // directly; a period the sport no longer has falls back to it
+  const period = config.redrawAxes && axisPeriods.includes(axisPeriod) ? axisPeriod : "q1";
+  const axes = period === "q1" ? config : config.periodAxes[period];
+  const setAxis = (key, update) => setConfig((c) => {
+    const current = period === "q1" ? c : c.periodAxes[period];
+    const nums = update(current[key]);
+    if (period === "q1") return { ...c, [key]: nums };
+    return { ...c, periodAxes: { ...c.periodAxes, [period]: { ...current, [key]: nums } } };
+  });
+  const setHeader = (key, i, value) => {
+    markReviewed(key, i);
+    setAxis(key, (nums) => nums.map((n, j) => (j === i ? value : n)));
+  };
+
+  // Scanned headers below the confidence bar stay flagged until edited or
+  // accepted; headers sharing a digit stay flagged until fixed
+  const [reviewed, setReviewed] = useState(() => new Set());
+  const markReviewed = (key, i) => setReviewed((prev) => new Set(prev).add(`${period}:${key}:${i}`));
+  useEffect(() => setReviewed(new Set()), [axisConfidence]);
+  const headerFlags = (key) => {
+    const { conflicts } = checkAxis(axes[key]);
+    const confidence = axisConfidence?.[period]?.[key] || [];
+    return axes[key].map((n, i) => {
+      if (conflicts.has(i)) return "conflict";
+      if (confidence[i] != null && confidence[i] < OCR.reviewConfidence && !reviewed.has(`${period}:${key}:${i}`)) return "low";
+      return null;
+    });
+  };
+  const colFlags = headerFlags("colNumbers");
+  const rowFlags = headerFlags("rowNumbers");
+  const flagBorder = (flag) => (flag === "conflict" ? `2px solid ${C.red}` : flag === "low" ? `2px solid ${C.orange}` : undefined);
+  // Multi-game pools need their games before they can save
+  const missingGames = config.gameMode !== "single" && config.games.length === 0;
+  const hasConflicts = (config.redrawAxes ? axisPeriods : ["q1"]).some((q) => {
+    const set = q === "q1" ? config : config.periodAxes[q];
+    return checkAxis(set.colNumbers).conflicts.size > 0 || checkAxis(set.rowNumbers).conflicts.size > 0;
+  });
+  // Numbers that have been started but don't yet cover 0-9 once each
+  const incompleteAxes = (config.redrawAxes ? axisPeriods : ["q1"]).some((q) => {
+    const set = q === "q1" ? config : config.periodAxes[q];
+    return [set.colNumbers, set.rowNumbers].some((numbers) => {
+      const { missing, empty } = checkAxis(numbers);
+      return numbers.some((n) => n != null) && (missing.length > 0 || empty.length > 0);
+    });
+  });
+  const periodFilled = (q) => {
+    const set = q === "q1" ? config : config.periodAxes[q];
+    return set.colNumbers.some((n) => n != null) && set.rowNumbers.some((n) => n != null);
+  };
+  const optionStyle = (active) => ({
+    flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer",
+    border: active ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+    background: active ? "rgba(59,130,246,0.15)" : C.card,
+    color: C.text, fontWeight: 600, fontSize: 12,
+  });
 
   return (
     <div style={{ padding: 20 }}>
@@ -801,11 +3163,22 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
             value={config.name} onChange={(e) => setConfig((c) => ({ ...c, name: e.target.value }))} />
         </div>
 
+        <div>
+          <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Sport</label>
+          <select style={{ ...inputStyle, marginTop: 4 }} value={config.sport}
+            onChange={(e) => setSport(e.target.value)}>
+            {Object.entries(SPORTS).map(([key, sp]) => <option key={key} value={key}>{sp.label}</option>)}
+          </select>
+        </div>
+
         <div>
           <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Pool Type</label>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 6 }}>
-            {POOL_TYPES.map((t) => (
-              <button key={t.key} onClick={() => setConfig((c) => ({ ...c, type: t.key }))}
+            {getPoolTypes(sport).map((t) => (
+              <button key={t.key} onClick={() => setConfig((c) => ({
+                ...c, type: t.key,
+                payout: { ...c.payout, periods: getDefaultPayout(t.key, sport).periods },
+              }))}
                 style={{
                   padding: "10px 12px", borderRadius: 10, border: config.type === t.key
                     ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
@@ -821,6 +3194,28 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
           </div>
         </div>
 
+        {getPayoutPeriods(config.type, sport).includes(getFinalPeriod(sport)) && (
+          <div>
+            <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Overtime</label>
+            <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+              {[
+                { value: true, label: "OT counts for Final" },
+                { value: false, label: "Final = end of regulation" },
+              ].map((o) => (
+                <button key={o.label} onClick={() => setConfig((c) => ({ ...c, otCountsForFinal: o.value }))}
+                  style={{
+                    flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer",
+                    border: config.otCountsForFinal === o.value ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+                    background: config.otCountsForFinal === o.value ? "rgba(59,130,246,0.15)" : C.card,
+                    color: C.text, fontWeight: 600, fontSize: 12,
+                  }}>
+                  {o.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div>
           <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Buy-in Amount ($)</label>
           <input
@@ -831,64 +3226,147 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
             placeholder="25"
             value={config.buyIn === 0 ? 0 : (config.buyIn || "")}
             onChange={(e) => {
-              const next = parseMoney((e.target.value || "").replace(/[^\d.]/g, ""));
+              const next = cleanMoney(e.target.value);
               setConfig((c) => ({ ...c, buyIn: next }));
             }}
           />
         </div>
 
+        <PayoutConfig config={config} setConfig={setConfig} />
+
         <div>
           <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600, display: "block", marginBottom: 6 }}>
-            Link to NFL Game (for live scores)
+            Link to {sport.label} Games (for live scores)
           </label>
-          <div style={{ display: "flex", gap: 8 }}>
-            <input type="date" style={{ ...inputStyle, flex: 1 }} value={dateInput}
-              onChange={(e) => setDateInput(e.target.value)} />
-            <button style={btnStyle(C.accent)}
-              onClick={() => {
-                const d = dateInput.replace(/-/g, "");
-                onFetchGames(d);
-              }}>
-              Find
-            </button>
+          <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+            {GAME_MODES.map((m) => (
+              <button key={m.key} style={optionStyle(config.gameMode === m.key)} onClick={() => setGameMode(m.key)}>
+                {m.label}
+              </button>
+            ))}
           </div>
-          {games === null && (
-            <p style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
-              Could not reach ESPN. You can still enter scores manually.
-            </p>
-          )}
-          {games && games.length === 0 && (
-            <p style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>No games found for that date.</p>
+          {config.gameMode === "team" && (
+            <>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input style={{ ...inputStyle, flex: 1 }} placeholder="Team, e.g. KC"
+                  value={config.gameRule.team}
+                  onChange={(e) => setGameRule({ team: e.target.value.toUpperCase().replace(/[^A-Z]/g, "").slice(0, 4) })} />
+                <input type="number" inputMode="numeric" style={{ ...inputStyle, width: 90 }}
+                  value={config.gameRule.season}
+                  onChange={(e) => setGameRule({ season: Number(e.target.value) || currentSeason(sport) })} />
+              </div>
+              <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                {SEASON_TYPES.map((t) => (
+                  <button key={t.value} style={optionStyle(config.gameRule.seasonType === t.value)}
+                    onClick={() => setGameRule({ seasonType: t.value })}>
+                    {t.label}
+                  </button>
+                ))}
+              </div>
+              <button style={{ ...btnStyle(C.accent), width: "100%", marginTop: 8, opacity: config.gameRule.team ? 1 : 0.4 }}
+                disabled={!config.gameRule.team || scheduleStatus.loading}
+                onClick={findSchedule}>
+                {scheduleStatus.loading ? "Finding Games..." : "Find Games"}
+              </button>
+              {scheduleStatus.error && (
+                <p style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>{scheduleStatus.error}</p>
+              )}
+              {!scheduleStatus.error && !scheduleStatus.loading && config.games.length > 0 && (
+                <p style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>
+                  {config.games.length} {config.games.length === 1 ? "game" : "games"} found. New games on the
+                  schedule are added when the app opens.
+                </p>
+              )}
+            </>
           )}
-          {games && games.length > 0 && (
-            <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
-              {games.map((g) => (
-                <button key={g.id}
-                  onClick={() => setConfig((c) => ({
-                    ...c, gameId: g.id,
-                    awayAbbr: g.awayAbbr, homeAbbr: g.homeAbbr,
-                    awayFull: g.awayTeam, homeFull: g.homeTeam,
-                    team1: g.awayAbbr, team2: g.homeAbbr,
-                    team1Full: g.awayTeam, team2Full: g.homeTeam,
-                    columnsTeam: "away",
-                  }))}
-                  style={{
-                    padding: "10px 12px", borderRadius: 10, textAlign: "left", cursor: "pointer",
-                    border: config.gameId === g.id ? `2px solid ${C.green}` : `1px solid ${C.border}`,
-                    background: config.gameId === g.id ? "rgba(34,197,94,0.1)" : C.card,
+          {config.gameMode !== "team" && (
+            <>
+              <div style={{ display: "flex", gap: 8 }}>
+                <input type="date" style={{ ...inputStyle, flex: 1 }} value={dateInput}
+                  onChange={(e) => setDateInput(e.target.value)} />
+                <button style={btnStyle(C.accent)}
+                  onClick={() => {
+                    const d = dateInput.replace(/-/g, "");
+                    onFetchGames(d);
                   }}>
-                  <div style={{ color: C.text, fontWeight: 600, fontSize: 14 }}>
-                    {g.awayAbbr} @ {g.homeAbbr}
-                  </div>
-                  <div style={{ color: C.textDim, fontSize: 12 }}>
-                    {g.status} {g.status === "In Progress" ? `· Q${g.period} ${g.clock}` : ""}
-                  </div>
+                  Find
+                </button>
+              </div>
+              {games === null && (
+                <p style={{ color: C.orange, fontSize: 12, marginTop: 6 }}>
+                  Could not reach ESPN. You can still enter scores manually.
+                </p>
+              )}
+              {games && games.length === 0 && (
+                <p style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>No games found for that date.</p>
+              )}
+              {games && games.length > 0 && (
+                <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
+                  {games.map((g) => {
+                    const picked = multi ? config.games.some((e) => e.id === g.id) : config.gameId === g.id;
+                    return (
+                      <button key={g.id}
+                        onClick={() => (multi ? toggleGame(g) : setConfig((c) => ({
+                          ...c, gameId: g.id, gameDate: g.boardDate,
+                          awayAbbr: g.awayAbbr, homeAbbr: g.homeAbbr,
+                          awayFull: g.awayTeam, homeFull: g.homeTeam,
+                          team1: g.awayAbbr, team2: g.homeAbbr,
+                          team1Full: g.awayTeam, team2Full: g.homeTeam,
+                          columnsTeam: "away",
+                        })))}
+                        style={{
+                          padding: "10px 12px", borderRadius: 10, textAlign: "left", cursor: "pointer",
+                          border: picked ? `2px solid ${C.green}` : `1px solid ${C.border}`,
+                          background: picked ? "rgba(34,197,94,0.1)" : C.card,
+                        }}>
+                        <div style={{ color: C.text, fontWeight: 600, fontSize: 14 }}>
+                          {g.awayAbbr} @ {g.homeAbbr}
+                        </div>
+                        <div style={{ color: C.textDim, fontSize: 12 }}>
+                          {g.status} {g.status === "In Progress" ? `· ${getPeriodLabel(g.period, sport)} ${g.clock}` : ""}
+                        </div>
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </>
+          )}
+          {config.gameMode === "multi" && config.games.length > 0 && (
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+              {config.games.map((g) => (
+                <button key={g.id} onClick={() => toggleGame(g)} style={{
+                  padding: "4px 10px", borderRadius: 12, border: `1px solid ${C.border}`,
+                  background: C.card, color: C.text, fontSize: 12, cursor: "pointer",
+                }}>
+                  {getGameLabel(g)} ✕
                 </button>
               ))}
             </div>
           )}
         </div>
 
+        {multi && (
+          <div>
+            <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600, display: "block", marginBottom: 6 }}>
+              Choose columns vs rows
+            </label>
+            <div style={{ display: "flex", gap: 8 }}>
+              {[
+                { key: config.gameMode === "team" ? "team" : "away", cols: multiCols, rows: multiRows },
+                { key: config.gameMode === "team" ? "opponent" : "home", cols: multiRows, rows: multiCols },
+              ].map((o) => (
+                <button key={o.key} style={optionStyle(config.columnsTeam === o.key)} onClick={() => setColumnsTeam(o.key)}>
+                  Columns: {o.cols} · Rows: {o.rows}
+                </button>
+              ))}
+            </div>
+            <div style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>
+              Each game is scored on its own. Percentage payouts split the pot evenly across the games, and a finished game keeps its cut when more are added.
+            </div>
+          </div>
+        )}
+
         {config.gameId && config.awayAbbr && config.homeAbbr && (
           <div style={{ marginTop: 6 }}>
             <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600, display: "block", marginBottom: 6 }}>
@@ -933,7 +3411,7 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
           </div>
         )}
 
-        {!config.gameId && (
+        {!multi && !config.gameId && (
           <div style={{ display: "flex", gap: 8 }}>
             <div style={{ flex: 1 }}>
               <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Team 1 (cols)</label>
@@ -948,72 +3426,133 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
           </div>
         )}
 
+        <div>
+          <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>Numbers</label>
+          <div style={{ display: "flex", gap: 8, marginTop: 6 }}>
+            {[
+              { value: false, label: "Same all game" },
+              { value: true, label: `Re-drawn each ${sport.unit}` },
+            ].map((o) => (
+              <button key={o.label} style={optionStyle(!!config.redrawAxes === o.value)}
+                onClick={() => setConfig((c) => ({ ...c, redrawAxes: o.value }))}>
+                {o.label}
+              </button>
+            ))}
+          </div>
+          {config.redrawAxes && (
+            <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+              {axisPeriods.map((q) => (
+                <button key={q} style={optionStyle(period === q)} onClick={() => setAxisPeriod(q)}>
+                  {axisLabels[q]}{periodFilled(q) ? " ✓" : ""}
+                </button>
+              ))}
+            </div>
+          )}
+          {config.redrawAxes && period === OT && (
+            <div style={{ color: C.textMuted, fontSize: 12, marginTop: 6 }}>
+              Leave blank if overtime uses the {axisLabels[getFinalPeriod(sport)]} numbers.
+            </div>
+          )}
+          {config.redrawAxes && onDetectAxes && (
+            <>
+              <button
+                style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 8, opacity: axesOcrStatus.loading ? 0.6 : 1 }}
+                onClick={() => { if (!axesOcrStatus.loading) onDetectAxes(period); }}
+              >
+                {axesOcrStatus.loading ? "Detecting Numbers..." : `Scan ${axisLabels[period]} Numbers From Photo`}
+              </button>
+              {axesOcrStatus.loading && <OcrProgress progress={axesOcrStatus.progress} />}
+              <div style={{ color: axesOcrStatus.error ? C.orange : C.textMuted, fontSize: 12, marginTop: 4 }}>
+                {axesOcrStatus.error ||
+                  `Reads band ${axisPeriods.indexOf(period) + 1} of numbers out from the grid edge.`}
+              </div>
+            </>
+          )}
+        </div>
+
         <div>
           <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>
             Column Numbers ({config.team1 || "Team 1"}) — enter digits left to right
+            {colDigits > 1 && `, up to ${colDigits} per header`}
           </label>
-          <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
-            {config.colNumbers.map((n, i) => (
+          <div style={{ display: "flex", gap: 4, marginTop: 6, flexWrap: "wrap" }}>
+            {axes.colNumbers.map((n, i) => (
               <input
                 key={i}
                 type="text"
                 inputMode="numeric"
                 pattern="[0-9]*"
-                style={{ ...inputStyle, width: 34, padding: "8px 4px", textAlign: "center", fontSize: 16, fontWeight: 700 }}
-                value={n === null ? "" : n}
+                style={{ ...headerInputStyle, width: 22 + colDigits * 12, border: flagBorder(colFlags[i]) || headerInputStyle.border }}
+                value={headerDigits(n).join("")}
                 onChange={(e) => {
-                  const cleaned = (e.target.value || "").replace(/\D/g, "").slice(0, 1);
-                  const v = cleaned === "" ? null : Math.min(9, Math.max(0, parseInt(cleaned, 10)));
-                  setConfig((c) => {
-                    const nums = [...c.colNumbers];
-                    nums[i] = isNaN(v) ? null : v;
-                    return { ...c, colNumbers: nums };
-                  });
-                  if (cleaned.length === 1) focusCol(i);
+                  const v = parseHeader(e.target.value, colDigits);
+                  setHeader("colNumbers", i, v);
+                  if (headerDigits(v).length === colDigits) focusCol(i);
                 }}
                 ref={(el) => { colRefs.current[i] = el; }}
               />
             ))}
           </div>
+          <AxisReview label="Column" numbers={axes.colNumbers} flags={colFlags}
+            confidence={axisConfidence?.[period]?.colNumbers || []}
+            preview={headerPreview && ((i) => headerPreview(period, "x", i))}
+            onAccept={(i) => markReviewed("colNumbers", i)}
+            onFill={() => setAxis("colNumbers", fillMissingDigit)} />
         </div>
 
         <div>
           <label style={{ color: C.textDim, fontSize: 12, fontWeight: 600 }}>
             Row Numbers ({config.team2 || "Team 2"}) — enter digits top to bottom
+            {rowDigits > 1 && `, up to ${rowDigits} per header`}
           </label>
-          <div style={{ display: "flex", gap: 4, marginTop: 6 }}>
-            {config.rowNumbers.map((n, i) => (
+          <div style={{ display: "flex", gap: 4, marginTop: 6, flexWrap: "wrap" }}>
+            {axes.rowNumbers.map((n, i) => (
               <input
                 key={i}
                 type="text"
                 inputMode="numeric"
                 pattern="[0-9]*"
-                style={{ ...inputStyle, width: 34, padding: "8px 4px", textAlign: "center", fontSize: 16, fontWeight: 700 }}
-                value={n === null ? "" : n}
+                style={{ ...headerInputStyle, width: 22 + rowDigits * 12, border: flagBorder(rowFlags[i]) || headerInputStyle.border }}
+                value={headerDigits(n).join("")}
                 onChange={(e) => {
-                  const cleaned = (e.target.value || "").replace(/\D/g, "").slice(0, 1);
-                  const v = cleaned === "" ? null : Math.min(9, Math.max(0, parseInt(cleaned, 10)));
-                  setConfig((c) => {
-                    const nums = [...c.rowNumbers];
-                    nums[i] = isNaN(v) ? null : v;
-                    return { ...c, rowNumbers: nums };
-                  });
-                  if (cleaned.length === 1) focusRow(i);
+                  const v = parseHeader(e.target.value, rowDigits);
+                  setHeader("rowNumbers", i, v);
+                  if (headerDigits(v).length === rowDigits) focusRow(i);
                 }}
                 ref={(el) => { rowRefs.current[i] = el; }}
               />
             ))}
           </div>
+          <AxisReview label="Row" numbers={axes.rowNumbers} flags={rowFlags}
+            confidence={axisConfidence?.[period]?.rowNumbers || []}
+            preview={headerPreview && ((i) => headerPreview(period, "y", i))}
+            onAccept={(i) => markReviewed("rowNumbers", i)}
+            onFill={() => setAxis("rowNumbers", fillMissingDigit)} />
         </div>
       </div>
 
+      {hasConflicts && (
+        <div style={{ color: C.red, fontSize: 12, marginTop: 16 }}>
+          Two headers share a digit. Fix the numbers marked in red to save.
+        </div>
+      )}
+      {!hasConflicts && incompleteAxes && (
+        <div style={{ color: C.orange, fontSize: 12, marginTop: 16 }}>
+          Some headers are blank or a digit is missing from an axis. You can save now and finish them later.
+        </div>
+      )}
+      {missingGames && (
+        <div style={{ color: C.orange, fontSize: 12, marginTop: 16 }}>
+          {config.gameMode === "team" ? "Find the team's games to save." : "Pick at least one game to save."}
+        </div>
+      )}
       <button style={{
         ...btnStyle(C.green), width: "100%", marginTop: 20,
-        opacity: config.name.trim() && config.team1.trim() && config.team2.trim() ? 1 : 0.4,
+        opacity: config.name.trim() && config.team1.trim() && config.team2.trim() && !hasConflicts && !missingGames ? 1 : 0.4,
       }}
-        disabled={!config.name.trim() || !config.team1.trim() || !config.team2.trim()}
+        disabled={!config.name.trim() || !config.team1.trim() || !config.team2.trim() || hasConflicts || missingGames}
         onClick={onDone}>
-        Create Pool
+        {submitLabel}
       </button>
     </div>
   );
@@ -1022,57 +3561,174 @@ function ConfigStep({ config, setConfig, games, onFetchGames, onDone }) {
 // ═══════════════════════════════════════════════════════════
 //  NEW POOL WIZARD
 // ═══════════════════════════════════════════════════════════
-function NewPoolWizard({ onCancel, onSave }) {
+// Editable settings of a saved pool, in the shape ConfigStep works on
+function poolToConfig(pool) {
+  const homeOnCols = pool.columnsTeam === "home";
+  const gridSize = getGridSize(pool);
+  const sport = getSport(pool);
+  return {
+    name: pool.name || "",
+    sport: SPORTS[pool.sport] ? pool.sport : DEFAULT_SPORT,
+    type: pool.type || "quarters",
+    buyIn: pool.buyIn || "",
+    team1: pool.team1 || "", team2: pool.team2 || "",
+    team1Full: pool.team1Full || "", team2Full: pool.team2Full || "",
+    awayAbbr: pool.awayAbbr || "", homeAbbr: pool.homeAbbr || "",
+    awayFull: (homeOnCols ? pool.team2Full : pool.team1Full) || "",
+    homeFull: (homeOnCols ? pool.team1Full : pool.team2Full) || "",
+    columnsTeam: pool.columnsTeam || "away",
+    gameId: pool.gameId || null,
+    gameDate: pool.gameDate || null,
+    gameMode: pool.gameRule ? "team" : isMultiGame(pool) ? "multi" : "single",
+    games: pool.games ? [...pool.games] : [],
+    gameRule: pool.gameRule ? { ...pool.gameRule } : { team: "", season: currentSeason(sport), seasonType: 3 },
+    squaresSold: pool.squaresSold || getSquareCount(gridSize),
+    payout: pool.payout || getDefaultPayout(pool.type, sport),
+    otCountsForFinal: pool.otCountsForFinal !== false,
+    gridSize,
+    colNumbers: pool.colNumbers ? [...pool.colNumbers] : Array(gridSize.cols).fill(null),
+    rowNumbers: pool.rowNumbers ? [...pool.rowNumbers] : Array(gridSize.rows).fill(null),
+    sidePrizes: { ...SIDE_PRIZES, ...pool.sidePrizes },
+    redrawAxes: !!pool.redrawAxes,
+    periodAxes: Object.fromEntries(Object.entries(emptyPeriodAxes(gridSize)).map(([q, empty]) => [q, {
+      colNumbers: pool.periodAxes?.[q]?.colNumbers ? [...pool.periodAxes[q].colNumbers] : empty.colNumbers,
+      rowNumbers: pool.periodAxes?.[q]?.rowNumbers ? [...pool.periodAxes[q].rowNumbers] : empty.rowNumbers,
+    }])),
+  };
+}
+
+function NewPoolWizard({ pool, template, provider = espnProvider, onCancel, onSave }) {
+  const isEdit = !!pool;
+  const source = pool || template;
   const [step, setStep] = useState(1);
-  const [photo, setPhoto] = useState(null);
-  const [gridBounds, setGridBounds] = useState({ x: 20, y: 20, w: 250, h: 250 * A4.ratio, ratio: A4.ratio });
-  const [mySquares, setMySquares] = useState(() => Array.from({ length: 10 }, () => Array(10).fill(false)));
-  const [config, setConfig] = useState({
-    name: "", type: "quarters", buyIn: "",
+  const [photo, setPhoto] = useState(pool?.photo || null);
+  const initialPhoto = useRef(pool?.photo || null);
+  const [gridBounds, setGridBounds] = useState(() => (
+    pool ? normalizeGridBounds(pool.gridBounds) : { x: 20, y: 20, w: 250, h: 250 * A4.ratio, ratio: A4.ratio }
+  ));
+  const [mySquares, setMySquares] = useState(() => (
+    pool ? pool.mySquares : makeGrid(getGridSize(source), false)
+  ));
+  const [owners, setOwners] = useState(() => (
+    source?.owners ? source.owners.map((row) => [...row]) : makeGrid(getGridSize(source), "")
+  ));
+  const [myName, setMyName] = useState(pool?.myName || "");
+  const [config, setConfig] = useState(() => (source ? poolToConfig(source) : {
+    name: "", sport: DEFAULT_SPORT, type: "quarters", buyIn: "",
     team1: "", team2: "", team1Full: "", team2Full: "",
     awayAbbr: "", homeAbbr: "", awayFull: "", homeFull: "",
     columnsTeam: "away",
     gameId: null,
-    colNumbers: Array(10).fill(null),
-    rowNumbers: Array(10).fill(null),
-  });
+    gameDate: null,
+    gameMode: "single",
+    games: [],
+    gameRule: { team: "", season: currentSeason(SPORTS[DEFAULT_SPORT]), seasonType: 3 },
+    squaresSold: GRID.size * GRID.size,
+    payout: getDefaultPayout("quarters", SPORTS[DEFAULT_SPORT]),
+    otCountsForFinal: true,
+    sidePrizes: { ...SIDE_PRIZES },
+    gridSize: { rows: GRID.size, cols: GRID.size },
+    colNumbers: Array(GRID.size).fill(null),
+    rowNumbers: Array(GRID.size).fill(null),
+    redrawAxes: false,
+    periodAxes: emptyPeriodAxes({ rows: GRID.size, cols: GRID.size }),
+  }));
   const [games, setGames] = useState(undefined);
   const [ocrStatus, setOcrStatus] = useState({ loading: false, error: "", lastSuccess: false });
   const [gridOcrStatus, setGridOcrStatus] = useState({ loading: false, error: "", lastSuccess: false });
+  const [ownerOcrStatus, setOwnerOcrStatus] = useState({ loading: false, error: "", progress: 0 });
+  const [axesOcrStatus, setAxesOcrStatus] = useState({ loading: false, error: "" });
+  // Per-header OCR confidence from the last scan of each period's numbers
+  const [axisConfidence, setAxisConfidence] = useState({});
+  const [alignRect, setAlignRect] = useState(null);
+  // Scans take a while; they merge into the config as it is when they finish
+  const configRef = useRef(config);
+  configRef.current = config;
 
   const handleFetchGames = async (dateStr) => {
-    const result = await fetchGames(dateStr);
+    const result = await provider.fetchGames(dateStr, config.sport);
     setGames(result);
   };
+  // Games found for one sport can't be linked once the pool changes sport
+  useEffect(() => setGames(undefined), [config.sport]);
+
+  const handleFetchSchedule = async (rule) => {
+    const found = await resolveRuleGames(provider, rule, config.sport);
+    if (found) setConfig((c) => ({ ...c, games: found }));
+    return found;
+  };
 
   const handleSave = () => {
-    onSave({
-      id: uid(),
+    const multi = config.gameMode !== "single" && config.games.length > 0;
+    const settings = {
       name: config.name.trim(),
+      sport: config.sport,
       type: config.type,
       buyIn: parseFloat(config.buyIn) || 0,
+      squaresSold: Number(config.squaresSold) || getSquareCount(config.gridSize),
+      payout: parsePayout(config.payout),
+      sidePrizes: {
+        ...config.sidePrizes,
+        reverseAmount: parseMoney(config.sidePrizes.reverseAmount),
+        neighborAmount: parseMoney(config.sidePrizes.neighborAmount),
+      },
       team1: config.team1.trim() || "Team 1",
       team2: config.team2.trim() || "Team 2",
       team1Full: config.team1Full || config.team1.trim(),
       team2Full: config.team2Full || config.team2.trim(),
-      gameId: config.gameId,
+      gameId: multi ? null : config.gameId,
+      gameDate: !multi && config.gameId ? config.gameDate || null : null,
+      columnsTeam: multi || config.gameId ? config.columnsTeam : "away",
+      games: multi ? config.games : null,
+      gameRule: multi && config.gameMode === "team" ? config.gameRule : null,
+      // Each game keeps its results while it stays in the pool
+      gameResults: multi ? Object.fromEntries(config.games
+        .filter((g) => pool?.gameResults?.[g.id])
+        .map((g) => [g.id, pool.gameResults[g.id]])) : null,
+      awayAbbr: config.awayAbbr, homeAbbr: config.homeAbbr,
+      gridSize: config.gridSize,
       colNumbers: config.colNumbers.some((n) => n !== null) ? config.colNumbers : null,
       rowNumbers: config.rowNumbers.some((n) => n !== null) ? config.rowNumbers : null,
+      redrawAxes: config.redrawAxes,
+      periodAxes: config.redrawAxes ? Object.fromEntries(Object.entries(config.periodAxes).map(([q, set]) => [q, {
+        colNumbers: set.colNumbers.some((n) => n !== null) ? set.colNumbers : null,
+        rowNumbers: set.rowNumbers.some((n) => n !== null) ? set.rowNumbers : null,
+      }])) : null,
       mySquares,
+      owners: reconcileOwners(owners, mySquares, myName),
+      myName: myName.trim(),
       photo,
       gridBounds,
-      scores: { q1: [null, null], q2: [null, null], q3: [null, null], q4: [null, null] },
+      otCountsForFinal: config.otCountsForFinal,
+    };
+    const tracking = {
+      scores: emptyScores(),
       scoreHistory: [],
+      minuteScores: config.type === "minute" ? Array(getGameMinutes(getSport(config))).fill(null) : null,
       lastKnownScore: null,
-    });
+      notifiedWins: [],
+    };
+    if (!isEdit) {
+      onSave({ id: uid(), ...settings, ...tracking });
+      return;
+    }
+    // Recorded scores belong to the linked game and sport; start over if either changed
+    const gameChanged = (settings.gameId || null) !== (pool.gameId || null) ||
+      settings.sport !== (pool.sport || DEFAULT_SPORT);
+    onSave({ ...pool, ...settings, ...(gameChanged ? tracking : {}) });
   };
 
-  const stepLabels = ["Photo", "Align", "Select", "Config"];
-  const totalSteps = photo ? 4 : 3;
+  const steps = isEdit ? [photo && "align", "owners", "config"].filter(Boolean)
+    : template ? ["select", "config"]
+    : ["photo", photo && "align", "owners", "select", "config"].filter(Boolean);
+  const currentStep = steps[step - 1];
+  const totalSteps = steps.length;
+  // Leaving the wizard stops any scan that's still running
+  useEffect(() => cancelOcr, []);
   useEffect(() => {
     let alive = true;
     (async () => {
-      if (!photo) return;
+      if (!photo || photo === initialPhoto.current) return;
       try {
         const img = await loadImage(photo);
         if (!alive) return;
@@ -1091,6 +3747,25 @@ function NewPoolWizard({ onCancel, onSave }) {
     setPhoto(rotated);
     setGridBounds({ x: 20, y: 20, w: 250, h: 250 * LANDSCAPE_RATIO, ratio: LANDSCAPE_RATIO });
   };
+  // The straightened photo replaces the original, so every OCR pass and the
+  // square taps in SquareSelectStep work on the corrected image. The corners
+  // sit on the grid's outer corners, so picked squares and owners keep their
+  // row and column.
+  const handleStraighten = async (corners, displayRect) => {
+    const result = await straightenPhoto(photo, corners, displayRect);
+    const scale = displayRect.width / result.width;
+    initialPhoto.current = result.photo;
+    setPhoto(result.photo);
+    setGridBounds({
+      x: result.grid.x * scale,
+      y: result.grid.y * scale,
+      w: result.grid.w * scale,
+      h: result.grid.h * scale,
+      ratio: result.grid.h / result.grid.w,
+    });
+    setGridOcrStatus({ loading: false, error: "", lastSuccess: false });
+    return { width: displayRect.width, height: result.height * scale };
+  };
   const handleToggleOrientation = () => {
     setGridBounds((g) => {
       const nextRatio = (g.ratio || A4.ratio) === A4.ratio ? LANDSCAPE_RATIO : A4.ratio;
@@ -1099,36 +3774,137 @@ function NewPoolWizard({ onCancel, onSave }) {
     });
   };
 
+  // A new size invalidates everything laid out on the old grid
+  const handleGridSize = (size) => {
+    const current = config.gridSize;
+    if (size.rows === current.rows && size.cols === current.cols) return;
+    // Picked squares and owners stay where they still fit on the new grid
+    setMySquares((g) => fitGrid(g, size, false));
+    setOwners((g) => fitGrid(g, size, ""));
+    setGridBounds(evenCells);
+    setAxisConfidence({});
+    setConfig((c) => ({
+      ...c,
+      gridSize: size,
+      colNumbers: Array(size.cols).fill(null),
+      rowNumbers: Array(size.rows).fill(null),
+      periodAxes: emptyPeriodAxes(size),
+      squaresSold: Number(c.squaresSold) === getSquareCount(current) ? getSquareCount(size)
+        : c.squaresSold && Math.min(getSquareCount(size), c.squaresSold),
+    }));
+  };
+
+  // Fill a lone missing digit into its only open header and give it zero
+  // confidence so the review flags it as inferred
+  const withInferredDigit = (numbers, confidence) => {
+    const filled = fillMissingDigit(numbers);
+    return { numbers: filled, confidence: confidence.map((v, i) => (filled[i] === numbers[i] ? v : 0)) };
+  };
+  // Slots a scan missed keep what was typed; only scanned ones carry a confidence
+  const mergeScan = (found, current, key) => withInferredDigit(
+    found[key].map((n, i) => n ?? current[key][i]),
+    found[key].map((n, i) => (n != null ? found.confidence[key][i] : null)),
+  );
+  // Crop of one header cell for the review list, once the grid is aligned
+  const headerPreview = photo && alignRect ? (period, axis, index) => ({
+    photo,
+    displayWidth: alignRect.width,
+    rect: headerCellRect(gridBounds, config.gridSize, axis, index,
+      config.redrawAxes ? getAxisPeriods(getSport(config)).indexOf(period) : 0),
+  }) : undefined;
+
   const handleDetectNumbers = async (displayRect) => {
     if (!photo) return;
-    setOcrStatus({ loading: true, error: "", lastSuccess: false });
+    setOcrStatus({ loading: true, error: "", lastSuccess: false, progress: 0 });
     try {
-      const { colNumbers, rowNumbers } = await detectAxisNumbers(photo, gridBounds, displayRect);
+      const found = await detectAxisNumbers(photo, gridBounds, displayRect, config.gridSize,
+        undefined, (progress) => setOcrStatus((st) => ({ ...st, progress })));
+      const cols = mergeScan(found, configRef.current, "colNumbers");
+      const rows = mergeScan(found, configRef.current, "rowNumbers");
       setConfig((c) => ({
         ...c,
-        colNumbers: colNumbers.some((n) => n != null) ? colNumbers : c.colNumbers,
-        rowNumbers: rowNumbers.some((n) => n != null) ? rowNumbers : c.rowNumbers,
+        colNumbers: mergeScan(found, c, "colNumbers").numbers,
+        rowNumbers: mergeScan(found, c, "rowNumbers").numbers,
       }));
+      setAxisConfidence((prev) => ({ ...prev, q1: { colNumbers: cols.confidence, rowNumbers: rows.confidence } }));
       setOcrStatus({ loading: false, error: "", lastSuccess: true });
     } catch (err) {
       setOcrStatus({
         loading: false,
-        error: err?.message || "Could not detect numbers. Try a clearer photo.",
+        error: isOcrCancelled(err) ? "" : err?.message || "Could not detect numbers. Try a clearer photo.",
         lastSuccess: false,
       });
     }
   };
+  // Re-drawn sheets: read one period's band of numbers off the aligned photo
+  const handleDetectPeriodAxes = async (period) => {
+    if (!photo || !alignRect) return;
+    setAxesOcrStatus({ loading: true, error: "", progress: 0 });
+    try {
+      const layer = getAxisPeriods(getSport(config)).indexOf(period);
+      const found = await detectAxisNumbers(photo, gridBounds, alignRect, config.gridSize, layer,
+        (progress) => setAxesOcrStatus((st) => ({ ...st, progress })));
+      if (!found.colNumbers.some((n) => n != null) && !found.rowNumbers.some((n) => n != null)) {
+        throw new Error(`No ${getAxisLabels(getSport(config))[period]} numbers found. Enter them below.`);
+      }
+      const merge = (c, key) => mergeScan(found, period === "q1" ? c : c.periodAxes[period], key);
+      const cols = merge(configRef.current, "colNumbers");
+      const rows = merge(configRef.current, "rowNumbers");
+      setConfig((c) => {
+        const merged = { colNumbers: merge(c, "colNumbers").numbers, rowNumbers: merge(c, "rowNumbers").numbers };
+        return period === "q1" ? { ...c, ...merged } : { ...c, periodAxes: { ...c.periodAxes, [period]: merged } };
+      });
+      setAxisConfidence((prev) => ({ ...prev, [period]: { colNumbers: cols.confidence, rowNumbers: rows.confidence } }));
+      setAxesOcrStatus({ loading: false, error: "" });
+    } catch (err) {
+      setAxesOcrStatus({
+        loading: false,
+        error: isOcrCancelled(err) ? "" : err?.message || "Could not detect numbers. Enter them below.",
+      });
+    }
+  };
+  const handleDetectOwners = async (displayRect) => {
+    if (!photo) return;
+    setOwnerOcrStatus({ loading: true, error: "", progress: 0 });
+    try {
+      const detected = await detectOwnerNames(photo, gridBounds, displayRect, config.gridSize, (progress) => {
+        setOwnerOcrStatus((st) => ({ ...st, progress }));
+      });
+      // Keep anything already typed where the scan came back empty
+      setOwners((prev) => detected.map((row, r) => row.map((name, c) => name || prev[r][c])));
+      setOwnerOcrStatus({ loading: false, error: "", progress: getSquareCount(config.gridSize) });
+    } catch (err) {
+      setOwnerOcrStatus({
+        loading: false,
+        error: isOcrCancelled(err) ? "" : err?.message || "Could not read names. Type them in below.",
+        progress: 0,
+      });
+    }
+  };
+  const handleOwnersDone = () => {
+    if (normalizeName(myName)) setMySquares(deriveMySquares(owners, myName));
+    setStep((s) => s + 1);
+  };
   const handleDetectGrid = async (displayRect) => {
     if (!photo) return;
-    setGridOcrStatus({ loading: true, error: "", lastSuccess: false });
+    setGridOcrStatus({ loading: true, error: "", lastSuccess: false, progress: 0 });
     try {
-      const next = await detectGridFromOCR(photo, displayRect, gridBounds.ratio || A4.ratio);
-      setGridBounds((g) => ({ ...g, ...next }));
+      // Ruled lines give exact cell edges; unruled sheets fall back to reading the headers
+      let next;
+      try {
+        const lines = await detectGridLines(photo, displayRect, config.gridSize);
+        next = { ...lines, ratio: lines.h / lines.w };
+      } catch {
+        const guess = await detectGridFromOCR(photo, displayRect, gridBounds.ratio || A4.ratio,
+          (progress) => setGridOcrStatus((st) => ({ ...st, progress })));
+        next = guess;
+      }
+      setGridBounds((g) => ({ ...evenCells(g), ...next }));
       setGridOcrStatus({ loading: false, error: "", lastSuccess: true });
     } catch (err) {
       setGridOcrStatus({
         loading: false,
-        error: err?.message || "Could not detect the grid. Try a clearer photo.",
+        error: isOcrCancelled(err) ? "" : err?.message || "Could not detect the grid. Try a clearer photo.",
         lastSuccess: false,
       });
     }
@@ -1146,7 +3922,9 @@ function NewPoolWizard({ onCancel, onSave }) {
         }}>
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><polyline points="15 18 9 12 15 6"/></svg>
         </button>
-        <span style={{ color: C.text, fontWeight: 600, flex: 1 }}>New Pool</span>
+        <span style={{ color: C.text, fontWeight: 600, flex: 1 }}>
+          {isEdit ? "Edit Pool" : template ? "Join Shared Pool" : "New Pool"}
+        </span>
         <span style={{ color: C.textDim, fontSize: 13 }}>Step {step}/{totalSteps}</span>
       </div>
 
@@ -1161,12 +3939,14 @@ function NewPoolWizard({ onCancel, onSave }) {
       </div>
 
       {/* Steps */}
-      {step === 1 && (
-        <PhotoStep photo={photo} onPhotoChange={(p) => { setPhoto(p); setStep(2); }}
+      {currentStep === "photo" && (
+        <PhotoStep photo={photo} gridSize={config.gridSize} onGridSizeChange={handleGridSize}
+          onPhotoChange={(p) => { setPhoto(p); setStep(2); }}
           onSkip={() => { setPhoto(null); setStep(2); }} />
       )}
-      {step === 2 && photo && (
+      {currentStep === "align" && (
         <GridAlignStep photo={photo} gridBounds={gridBounds}
+          gridSize={config.gridSize} onGridSizeChange={handleGridSize}
           setGridBounds={setGridBounds}
           onDetectGrid={handleDetectGrid}
           gridOcrStatus={gridOcrStatus}
@@ -1174,16 +3954,33 @@ function NewPoolWizard({ onCancel, onSave }) {
           ocrStatus={ocrStatus}
           onRotate={handleRotatePhoto}
           onToggleOrientation={handleToggleOrientation}
-          onDone={() => setStep(3)} />
+          doneLabel="Grid Aligned — Square Owners"
+          onStraighten={handleStraighten}
+          onDone={(rect) => { setAlignRect(rect); setStep((s) => s + 1); }} />
       )}
-      {step === (photo ? 3 : 2) && (
+      {currentStep === "owners" && (
+        <OwnerReviewStep photo={photo} owners={owners} setOwners={setOwners}
+          myName={myName} setMyName={setMyName}
+          onDetect={handleDetectOwners}
+          ownerOcrStatus={ownerOcrStatus}
+          onDone={handleOwnersDone} />
+      )}
+      {currentStep === "select" && (
         <SquareSelectStep photo={photo} gridBounds={gridBounds}
           mySquares={mySquares} setMySquares={setMySquares}
-          onDone={() => setStep(photo ? 4 : 3)} />
+          owners={template?.owners}
+          onPickName={(name) => { setMyName(name); setMySquares(deriveMySquares(owners, name)); }}
+          onDone={() => setStep((s) => s + 1)} />
       )}
-      {step === (photo ? 4 : 3) && (
+      {currentStep === "config" && (
         <ConfigStep config={config} setConfig={setConfig}
-          games={games} onFetchGames={handleFetchGames} onDone={handleSave} />
+          games={games} onFetchGames={handleFetchGames} onFetchSchedule={handleFetchSchedule}
+          onDetectAxes={photo && alignRect ? handleDetectPeriodAxes : undefined}
+          axesOcrStatus={axesOcrStatus}
+          axisConfidence={axisConfidence}
+          headerPreview={headerPreview}
+          submitLabel={isEdit ? "Save Changes" : "Create Pool"}
+          onDone={handleSave} />
       )}
     </div>
   );
@@ -1192,7 +3989,38 @@ function NewPoolWizard({ onCancel, onSave }) {
 // ═══════════════════════════════════════════════════════════
 //  LIVE SCOREBOARD
 // ═══════════════════════════════════════════════════════════
-function LiveScoreboard({ pool, game, onManualScore }) {
+function PollIndicator({ status }) {
+  const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: "numeric", minute: "2-digit", second: "2-digit" });
+  let text = "Connecting to live scores…";
+  let color = C.textMuted;
+  if (status.state === "ok" && status.resumed) {
+    text = `Back online · live updates resumed ${time(status.lastUpdated)}`;
+    color = C.green;
+  } else if (status.state === "ok") {
+    text = `Updated ${time(status.lastUpdated)}${status.source && status.source !== "ESPN" ? ` · ${status.source}` : ""}`;
+  } else if (status.state === "offline") {
+    text = "Offline · scores are saved on this device, enter them manually";
+    color = C.orange;
+  } else if (status.state === "syncing") {
+    text = "Back online · syncing live scores…";
+    color = C.accent;
+  } else if (status.state === "final") {
+    text = "Game final · live updates stopped";
+  } else if (status.state === "paused") {
+    text = "Paused while in the background";
+  } else if (status.state === "retrying") {
+    text = `Can't reach ${status.source || "ESPN"} · retrying at ${time(status.nextAt)} (attempt ${status.failures + 1})`;
+    color = C.orange;
+  }
+  return (
+    <div style={{ color, fontSize: 11, textAlign: "center", marginTop: 8 }}>
+      {text}
+      {status.state === "retrying" && status.lastUpdated && ` · last update ${time(status.lastUpdated)}`}
+    </div>
+  );
+}
+
+function LiveScoreboard({ pool, game, pollStatus, onManualScore }) {
   if (!game && !pool.scores) return null;
   const manualRefs = useRef([]);
   const focusNext = (idx) => {
@@ -1200,30 +4028,35 @@ function LiveScoreboard({ pool, game, onManualScore }) {
     if (next) next.focus();
   };
 
+  const sport = getSport(pool);
+  const periods = getPeriods(sport);
+  const final = getFinalPeriod(sport);
+  const names = getPeriodNames(sport);
   const displayScores = useMemo(() => {
+    const axis = (pair) => getAxisScores(pool, pair || [null, null]);
+    const scores = game ? getQuarterScores(game, sport) : pool.scores;
+    const byPeriod = Object.fromEntries([...periods, OT].map((q) => [q, axis(scores[q])]));
     if (game) {
-      const qs = getQuarterScores(game);
       return {
-        current: [game.awayScore, game.homeScore],
-        q1: qs.q1 || [null, null],
-        q2: qs.q2 || [null, null],
-        q3: qs.q3 || [null, null],
-        q4: qs.q4 || [null, null],
+        ...byPeriod,
+        current: axis([game.awayScore, game.homeScore]),
         status: game.status,
         period: game.period,
         clock: game.clock,
       };
     }
+    // Entered by hand: the latest period with a score is the current one
+    const latest = [OT, ...[...periods].reverse()].find((q) => scores[q]?.[0] != null) || "q1";
     return {
-      current: pool.scores.q4[0] != null ? pool.scores.q4 : pool.scores.q3[0] != null ? pool.scores.q3 :
-        pool.scores.q2[0] != null ? pool.scores.q2 : pool.scores.q1,
-      ...pool.scores,
+      ...byPeriod,
+      current: axis(scores[latest]),
       status: "Manual",
       period: 0,
       clock: "",
     };
-  }, [game, pool.scores]);
+  }, [game, pool.scores, pool.columnsTeam, pool.sport]);
 
+  const hasOT = displayScores[OT]?.[0] != null;
   const statusColor = game?.status === "In Progress" ? C.green :
     game?.status === "Final" ? C.textDim : C.orange;
 
@@ -1241,8 +4074,13 @@ function LiveScoreboard({ pool, game, onManualScore }) {
               color: statusColor, fontSize: 12, fontWeight: 600,
               padding: "3px 12px", borderRadius: 8,
             }}>
-              {game.status === "In Progress" ? `LIVE · Q${game.period} ${game.clock}` : game.status}
+              {game.status === "In Progress" ? `LIVE · ${getPeriodLabel(game.period, sport)} ${game.clock}` : game.status}
             </span>
+            {pool.type === "minute" && game.status === "In Progress" && getElapsedMinutes(game, sport) != null && (
+              <div style={{ color: C.textDim, fontSize: 12, marginTop: 6 }}>
+                Minute {Math.min(getGameMinutes(sport), Math.floor(getElapsedMinutes(game, sport)) + 1)} of {getGameMinutes(sport)}
+              </div>
+            )}
           </div>
         )}
         <div style={{ display: "flex", alignItems: "center", justifyContent: "space-around" }}>
@@ -1261,16 +4099,18 @@ function LiveScoreboard({ pool, game, onManualScore }) {
           </div>
         </div>
 
-        {/* Quarter breakdown */}
+        {/* Period breakdown */}
         <div style={{
           display: "flex", justifyContent: "center", gap: 16, marginTop: 14,
           padding: "10px 0 0", borderTop: `1px solid ${C.border}`,
         }}>
-          {QUARTERS.map((q) => {
+          {(hasOT ? [...periods, OT] : periods).map((q) => {
             const s = displayScores[q];
             return (
               <div key={q} style={{ textAlign: "center" }}>
-                <div style={{ color: C.textMuted, fontSize: 11, fontWeight: 600 }}>{Q_LABELS[q]}</div>
+                <div style={{ color: C.textMuted, fontSize: 11, fontWeight: 600 }}>
+                  {q === final && hasOT ? getAxisLabels(sport)[q] : names[q]}
+                </div>
                 <div style={{ color: C.text, fontSize: 13, fontWeight: 600, marginTop: 2 }}>
                   {s?.[0] != null ? `${s[0]}-${s[1]}` : "–"}
                 </div>
@@ -1280,17 +4120,21 @@ function LiveScoreboard({ pool, game, onManualScore }) {
         </div>
       </div>
 
+      {pool.gameId && pollStatus && <PollIndicator status={pollStatus} />}
+
       {/* Manual score entry toggle */}
       {!game && (
         <div style={{ marginTop: 12 }}>
           <p style={{ color: C.textMuted, fontSize: 12, marginBottom: 8 }}>
-            No live game linked. Enter scores manually:
+            {!pool.gameId ? "No live game linked. Enter scores manually:"
+              : pollStatus?.state === "offline" ? "Offline. Enter scores manually until live updates resume:"
+              : "Live scores aren't in yet. Enter scores manually meanwhile:"}
           </p>
-          {QUARTERS.map((q, qi) => (
+          {[...periods, OT].map((q, qi) => (
             <div key={q} style={{
               display: "flex", gap: 8, alignItems: "center", marginBottom: 8,
             }}>
-              <span style={{ color: C.textDim, fontSize: 13, fontWeight: 600, width: 55 }}>{Q_LABELS[q]}</span>
+              <span style={{ color: C.textDim, fontSize: 13, fontWeight: 600, width: 55 }}>{names[q]}</span>
               <input
                 ref={(el) => { manualRefs.current[qi * 2] = el; }}
                 type="text"
@@ -1298,7 +4142,7 @@ function LiveScoreboard({ pool, game, onManualScore }) {
                 pattern="[0-9]*"
                 style={{ ...inputStyle, width: 60, textAlign: "center", padding: "6px 4px" }}
                 placeholder="–"
-                value={pool.scores[q][0] ?? ""}
+                value={displayScores[q][0] ?? ""}
                 onChange={(e) => {
                   const cleaned = (e.target.value || "").replace(/\D/g, "").slice(0, 1);
                   onManualScore(q, 0, cleaned);
@@ -1316,7 +4160,7 @@ function LiveScoreboard({ pool, game, onManualScore }) {
                 pattern="[0-9]*"
                 style={{ ...inputStyle, width: 60, textAlign: "center", padding: "6px 4px" }}
                 placeholder="–"
-                value={pool.scores[q][1] ?? ""}
+                value={displayScores[q][1] ?? ""}
                 onChange={(e) => {
                   const cleaned = (e.target.value || "").replace(/\D/g, "").slice(0, 1);
                   onManualScore(q, 1, cleaned);
@@ -1337,138 +4181,341 @@ function LiveScoreboard({ pool, game, onManualScore }) {
 // ═══════════════════════════════════════════════════════════
 //  WIN DETECTION + DISPLAY
 // ═══════════════════════════════════════════════════════════
-function WinDisplay({ pool, game }) {
-  const wins = useMemo(() => {
-    const results = [];
-    if (!pool.colNumbers || !pool.rowNumbers) return results;
+function WinDisplay({ pool, games }) {
+  const earnings = useMemo(() => getPoolEarnings(pool, games), [pool, games]);
+  const { wins } = earnings;
+  const pot = getPoolPot(pool);
 
-    const scores = game ? (() => {
-      const qs = getQuarterScores(game);
-      return {
-        q1: qs.q1, q2: qs.q2, q3: qs.q3, q4: qs.q4,
-        current: [game.awayScore, game.homeScore],
-      };
-    })() : {
-      q1: pool.scores.q1, q2: pool.scores.q2,
-      q3: pool.scores.q3, q4: pool.scores.q4,
-    };
+  const myWinCount = wins.filter((w) => w.isMine).length;
+  // Multi-game pools roll up one section per game that has winners
+  const sections = isMultiGame(pool)
+    ? pool.games.map((g) => ({ id: g.id, label: getGameLabel(g), wins: wins.filter((w) => w.gameId === g.id) }))
+      .filter((sec) => sec.wins.length > 0)
+    : [{ id: pool.gameId, wins }];
 
-    const checkQuarters = pool.type === "quarters" ? QUARTERS :
-      pool.type === "half_final" ? ["q2", "q4"] : QUARTERS;
-
-    checkQuarters.forEach((q) => {
-      const s = scores[q];
-      if (!s || s[0] == null || s[1] == null) return;
-      const cell = getWinnerCell(pool.colNumbers, pool.rowNumbers, s[0], s[1]);
-      if (!cell) return;
-      const isMine = pool.mySquares[cell.row][cell.col];
-      results.push({
-        quarter: Q_LABELS[q],
-        score: `${s[0]}-${s[1]}`,
-        digits: `${s[0] % 10}, ${s[1] % 10}`,
-        cell,
-        isMine,
-      });
-    });
+  if (wins.length === 0 && pool.colNumbers) {
+    return (
+      <div style={{ padding: "12px 16px" }}>
+        <div style={{
+          background: C.card, borderRadius: 12, padding: 16,
+          textAlign: "center", border: `1px solid ${C.border}`,
+        }}>
+          <div style={{ fontSize: 24, marginBottom: 4 }}>⏳</div>
+          <div style={{ color: C.textDim, fontSize: 14 }}>
+            No scores entered yet. Winners will appear here once the game starts.
+          </div>
+        </div>
+      </div>
+    );
+  }
 
-    // For "every_score" type, also check current live score
-    if (pool.type === "every_score" && game) {
-      const s = [game.awayScore, game.homeScore];
-      const cell = getWinnerCell(pool.colNumbers, pool.rowNumbers, s[0], s[1]);
-      const alreadyListed = results.some((r) => r.score === `${s[0]}-${s[1]}`);
-      if (cell && !alreadyListed) {
-        results.push({
-          quarter: "Current",
-          score: `${s[0]}-${s[1]}`,
-          digits: `${s[0] % 10}, ${s[1] % 10}`,
-          cell,
-          isMine: pool.mySquares[cell.row][cell.col],
-        });
-      }
-    }
+  if (!pool.colNumbers) {
+    return (
+      <div style={{ padding: "12px 16px" }}>
+        <div style={{
+          background: C.card, borderRadius: 12, padding: 16,
+          textAlign: "center", border: `1px solid ${C.border}`,
+        }}>
+          <div style={{ color: C.textDim, fontSize: 14 }}>
+            Enter axis numbers in settings to track winners.
+          </div>
+        </div>
+      </div>
+    );
+  }
 
-    return results;
-  }, [pool, game]);
+  return (
+    <div style={{ padding: "12px 16px" }}>
+      {myWinCount > 0 && (
+        <div style={{
+          background: "linear-gradient(135deg, rgba(234,179,8,0.2), rgba(234,179,8,0.05))",
+          borderRadius: 14, padding: 16, marginBottom: 12,
+          border: `2px solid ${C.gold}`, textAlign: "center",
+        }}>
+          <div style={{ fontSize: 32 }}>🏆</div>
+          <div style={{ color: C.gold, fontWeight: 800, fontSize: 20, marginTop: 4 }}>
+            YOU WON {myWinCount} TIME{myWinCount > 1 ? "S" : ""}!
+          </div>
+          {earnings.won > 0 && (
+            <div style={{ color: C.text, fontWeight: 700, fontSize: 16, marginTop: 4 }}>
+              {formatMoney(earnings.won)} won
+            </div>
+          )}
+        </div>
+      )}
+
+      {pot.gross > 0 && (
+        <div style={{
+          display: "flex", justifyContent: "space-between", color: C.textDim, fontSize: 12,
+          padding: "0 4px 10px",
+        }}>
+          <span>Pot {formatMoney(pot.net)}</span>
+          <span>Cost {formatMoney(earnings.cost)}</span>
+          <span style={{ color: earnings.net >= 0 ? C.green : C.red, fontWeight: 700 }}>
+            Net {earnings.net >= 0 ? "+" : ""}{formatMoney(earnings.net)}
+          </span>
+        </div>
+      )}
+
+      {sections.map((sec) => {
+        const mine = sec.wins.filter((w) => w.isMine).reduce((sum, w) => sum + w.amount, 0);
+        return (
+          <div key={sec.id || "game"} style={{ marginBottom: sec.label ? 14 : 0 }}>
+            {sec.label && (
+              <div style={{
+                display: "flex", justifyContent: "space-between", color: C.textDim,
+                fontSize: 12, fontWeight: 700, padding: "0 4px 6px",
+              }}>
+                <span>{sec.label}</span>
+                {mine > 0 && <span style={{ color: C.gold }}>{formatMoney(mine)} won</span>}
+              </div>
+            )}
+            <GameWins pool={pool} wins={sec.wins} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// One game's winners: the minute table, or a card per paying period with
+// its side prizes nested inside
+function GameWins({ pool, wins }) {
+  const mainWins = wins.filter((w) => w.kind === "main");
+  const sideWinsOf = (w) => wins.filter((s) => s.parent === w.quarter);
+  const showMinuteTable = pool.type === "minute" && wins.some((w) => w.minute);
+  // A game's worth of minute side prizes is too much to list; keep the ones I won
+  const mySideWins = wins.filter((w) => w.kind !== "main" && w.isMine);
+  const title = (w) => (w.gameLabel ? w.quarter.slice(w.gameLabel.length + 3) : w.quarter);
+
+  return (
+    <>
+      {showMinuteTable && <MinuteWinnersTable wins={mainWins} sport={getSport(pool)} />}
+      {showMinuteTable && mySideWins.length > 0 && (
+        <div style={{ marginTop: 10 }}>
+          <SideWinList wins={mySideWins} />
+        </div>
+      )}
+
+      {!showMinuteTable && mainWins.map((w, i) => (
+        <div key={i} style={{
+          background: C.card, borderRadius: 12, padding: 14, marginBottom: 8,
+          border: `1px solid ${w.isMine ? C.gold : C.border}`,
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+            <div style={{
+              width: 40, height: 40, borderRadius: 10,
+              background: w.isMine ? "rgba(234,179,8,0.2)" : "rgba(100,116,139,0.15)",
+              display: "flex", alignItems: "center", justifyContent: "center",
+              fontSize: 18,
+            }}>
+              {w.isMine ? "🏆" : "📊"}
+            </div>
+            <div style={{ flex: 1 }}>
+              <div style={{ color: C.text, fontWeight: 600, fontSize: 14 }}>
+                {title(w)}: {w.score}
+              </div>
+              <div style={{ color: C.textDim, fontSize: 12 }}>
+                Digits: {w.digits} · {w.isMine ? (
+                  <span style={{ color: C.gold, fontWeight: 700 }}>YOUR SQUARE!</span>
+                ) : w.owner ? `Won by ${w.owner}` : "Not your square"}
+              </div>
+            </div>
+            {w.amount > 0 && (
+              <div style={{ color: w.isMine ? C.gold : C.textDim, fontWeight: 700, fontSize: 14 }}>
+                {formatMoney(w.amount)}
+              </div>
+            )}
+          </div>
+          {sideWinsOf(w).length > 0 && (
+            <div style={{ marginTop: 10, paddingTop: 8, borderTop: `1px solid ${C.border}` }}>
+              <SideWinList wins={sideWinsOf(w)} compact />
+            </div>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
+
+// Reverse and touching winners, listed apart from the main winner
+function SideWinList({ wins, compact }) {
+  return (
+    <div style={compact ? {} : {
+      background: C.card, borderRadius: 12, padding: "10px 14px", border: `1px solid ${C.border}`,
+    }}>
+      {!compact && (
+        <div style={{ color: C.textDim, fontSize: 12, fontWeight: 600, marginBottom: 6 }}>My side prizes</div>
+      )}
+      {wins.map((w, i) => (
+        <div key={i} style={{
+          display: "flex", justifyContent: "space-between", gap: 8, fontSize: 12, padding: "2px 0",
+          color: w.isMine ? C.orange : C.textDim, fontWeight: w.isMine ? 700 : 400,
+        }}>
+          <span>
+            {compact ? SIDE_PRIZE_LABELS[w.kind] : w.quarter} · {w.isMine ? "YOUR SQUARE" : (w.owner || `Row ${w.cell.row + 1}, Col ${w.cell.col + 1}`)}
+          </span>
+          {w.amount > 0 && <span>{formatMoney(w.amount)}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function MinuteWinnersTable({ wins, sport }) {
+  const byMinute = {};
+  wins.forEach((w) => { if (w.minute) byMinute[w.minute] = w; });
+
+  return (
+    <div style={{ background: C.card, borderRadius: 12, border: `1px solid ${C.border}`, overflow: "hidden" }}>
+      <div style={{
+        display: "grid", gridTemplateColumns: "56px 1fr 1fr 1fr", padding: "8px 12px",
+        color: C.textMuted, fontSize: 11, fontWeight: 600, borderBottom: `1px solid ${C.border}`,
+      }}>
+        <span>Min</span><span>Score</span><span>Digits</span><span style={{ textAlign: "right" }}>Square</span>
+      </div>
+      {Array.from({ length: getGameMinutes(sport) }, (_, i) => {
+        const w = byMinute[i + 1];
+        return (
+          <div key={i} style={{
+            display: "grid", gridTemplateColumns: "56px 1fr 1fr 1fr", padding: "6px 12px",
+            fontSize: 13, color: w ? C.text : C.textMuted,
+            background: w?.isMine ? "rgba(234,179,8,0.15)" : "transparent",
+            borderBottom: (i + 1) % sport.periodMinutes === 0 ? `1px solid ${C.border}` : "none",
+          }}>
+            <span style={{ color: C.textDim, fontWeight: 600 }}>{i + 1}</span>
+            <span>{w ? w.score : "–"}</span>
+            <span>{w ? w.digits : "–"}</span>
+            <span style={{
+              textAlign: "right", fontWeight: 700, color: w?.isMine ? C.gold : C.textMuted,
+              overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+            }}>
+              {w ? (w.isMine ? `YOURS${w.amount > 0 ? ` ${formatMoney(w.amount)}` : ""}` : (w.owner || "—")) : ""}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
 
-  const myWinCount = wins.filter((w) => w.isMine).length;
+// ═══════════════════════════════════════════════════════════
+//  ODDS HEATMAP
+// ═══════════════════════════════════════════════════════════
+function OddsPanel({ pool, game }) {
+  const odds = useMemo(() => getSquareOdds(pool, game), [pool, game]);
+  const [targetKey, setTargetKey] = useState("all");
 
-  if (wins.length === 0 && pool.colNumbers) {
+  if (!odds) {
     return (
-      <div style={{ padding: "12px 16px" }}>
-        <div style={{
-          background: C.card, borderRadius: 12, padding: 16,
-          textAlign: "center", border: `1px solid ${C.border}`,
-        }}>
-          <div style={{ fontSize: 24, marginBottom: 4 }}>⏳</div>
-          <div style={{ color: C.textDim, fontSize: 14 }}>
-            No scores entered yet. Winners will appear here once the game starts.
-          </div>
-        </div>
-      </div>
+      <p style={{ color: C.textDim, fontSize: 13, textAlign: "center", padding: 16 }}>
+        Enter axis numbers to see each square's odds.
+      </p>
     );
   }
-
-  if (!pool.colNumbers) {
+  if (odds.targets.length === 0) {
     return (
-      <div style={{ padding: "12px 16px" }}>
-        <div style={{
-          background: C.card, borderRadius: 12, padding: 16,
-          textAlign: "center", border: `1px solid ${C.border}`,
-        }}>
-          <div style={{ color: C.textDim, fontSize: 14 }}>
-            Enter axis numbers in settings to track winners.
-          </div>
-        </div>
-      </div>
+      <p style={{ color: C.textDim, fontSize: 13, textAlign: "center", padding: 16 }}>
+        Every period is decided. Check the Wins tab.
+      </p>
     );
   }
 
+  const targetIdx = odds.targets.findIndex((t) => t.key === targetKey);
+  // Re-drawn pools show the numbers of the chosen (or next) period
+  const { colNumbers, rowNumbers } = getPeriodAxes(pool, odds.targets[Math.max(0, targetIdx)].period);
+  // "All" shows the chance of winning at least one remaining target
+  const chance = (cell) => (targetIdx >= 0 ? cell.byTarget[targetIdx]
+    : 1 - cell.byTarget.reduce((miss, p) => miss * (1 - p), 1));
+  const maxChance = Math.max(...odds.cells.flat().map(chance), 0.0001);
+  const pct = (p) => (p >= 0.095 ? `${Math.round(p * 100)}%` : `${(p * 100).toFixed(1)}%`);
+  const buyIn = Number(pool.buyIn) || 0;
+  const mine = [];
+  odds.cells.forEach((row, r) => row.forEach((cell, c) => {
+    if (pool.mySquares[r][c]) mine.push({ r, c, cell });
+  }));
+  const chips = odds.targets.length > 8 ? [] : odds.targets;
+
   return (
-    <div style={{ padding: "12px 16px" }}>
-      {myWinCount > 0 && (
-        <div style={{
-          background: "linear-gradient(135deg, rgba(234,179,8,0.2), rgba(234,179,8,0.05))",
-          borderRadius: 14, padding: 16, marginBottom: 12,
-          border: `2px solid ${C.gold}`, textAlign: "center",
-        }}>
-          <div style={{ fontSize: 32 }}>🏆</div>
-          <div style={{ color: C.gold, fontWeight: 800, fontSize: 20, marginTop: 4 }}>
-            YOU WON {myWinCount} TIME{myWinCount > 1 ? "S" : ""}!
+    <div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+        {[{ key: "all", label: "Any remaining" }, ...chips].map((t) => (
+          <button key={t.key} onClick={() => setTargetKey(t.key)} style={{
+            padding: "4px 10px", borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: "pointer",
+            border: targetKey === t.key ? `2px solid ${C.gold}` : `1px solid ${C.border}`,
+            background: targetKey === t.key ? "rgba(234,179,8,0.15)" : C.card, color: C.text,
+          }}>
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <div style={{ minWidth: 360 }}>
+          <div style={{ display: "flex", marginLeft: 32 }}>
+            {odds.cells[0].map((_, i) => (
+              <div key={i} style={{ flex: 1, minWidth: 32, textAlign: "center", color: C.green, fontWeight: 700, fontSize: 12 }}>
+                {formatHeader(colNumbers?.[i]) || "?"}
+              </div>
+            ))}
           </div>
-          {pool.buyIn > 0 && (
-            <div style={{ color: C.textDim, fontSize: 14, marginTop: 4 }}>
-              Pool value: ${pool.buyIn * 100} total
+          {odds.cells.map((row, r) => (
+            <div key={r} style={{ display: "flex" }}>
+              <div style={{ width: 32, display: "flex", alignItems: "center", justifyContent: "center", color: C.green, fontWeight: 700, fontSize: 12 }}>
+                {formatHeader(rowNumbers?.[r]) || "?"}
+              </div>
+              {row.map((cell, c) => {
+                const p = chance(cell);
+                const isMine = pool.mySquares[r][c];
+                return (
+                  <div key={c} style={{
+                    flex: 1, minWidth: 32, height: 32, borderRadius: 2,
+                    border: `1px solid ${isMine ? C.mineBorder : C.border}`,
+                    background: `rgba(234,179,8,${(0.08 + 0.72 * (p / maxChance)).toFixed(3)})`,
+                    display: "flex", alignItems: "center", justifyContent: "center",
+                    color: C.text, fontSize: 9, fontWeight: isMine ? 800 : 500,
+                  }}>
+                    {pct(p)}
+                  </div>
+                );
+              })}
             </div>
-          )}
+          ))}
         </div>
-      )}
+      </div>
 
-      {wins.map((w, i) => (
-        <div key={i} style={{
-          background: C.card, borderRadius: 12, padding: 14, marginBottom: 8,
-          border: `1px solid ${w.isMine ? C.gold : C.border}`,
-          display: "flex", alignItems: "center", gap: 12,
-        }}>
-          <div style={{
-            width: 40, height: 40, borderRadius: 10,
-            background: w.isMine ? "rgba(234,179,8,0.2)" : "rgba(100,116,139,0.15)",
-            display: "flex", alignItems: "center", justifyContent: "center",
-            fontSize: 18,
-          }}>
-            {w.isMine ? "🏆" : "📊"}
-          </div>
-          <div style={{ flex: 1 }}>
-            <div style={{ color: C.text, fontWeight: 600, fontSize: 14 }}>
-              {w.quarter}: {w.score}
-            </div>
-            <div style={{ color: C.textDim, fontSize: 12 }}>
-              Digits: {w.digits} · {w.isMine ? (
-                <span style={{ color: C.gold, fontWeight: 700 }}>YOUR SQUARE!</span>
-              ) : "Not your square"}
-            </div>
-          </div>
+      {mine.length > 0 && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ color: C.textDim, fontSize: 12, fontWeight: 600, marginBottom: 6 }}>My squares</div>
+          {mine.map(({ r, c, cell }) => {
+            const ev = cell.expected - buyIn;
+            return (
+              <div key={`${r}-${c}`} style={{
+                background: C.card, borderRadius: 10, padding: "8px 12px", marginBottom: 6,
+                border: `1px solid ${C.border}`, fontSize: 12, color: C.text,
+              }}>
+                <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 700 }}>
+                  <span>{formatHeader(colNumbers?.[c]) || "?"} / {formatHeader(rowNumbers?.[r]) || "?"}</span>
+                  {cell.expected > 0 && (
+                    <span style={{ color: ev >= 0 ? C.green : C.red }}>
+                      EV {formatMoney(cell.expected)} · {ev >= 0 ? "+" : ""}{formatMoney(ev)} vs buy-in
+                    </span>
+                  )}
+                </div>
+                <div style={{ color: C.textDim, marginTop: 2 }}>
+                  {odds.targets.length > 8
+                    ? `Any remaining minute: ${pct(1 - cell.byTarget.reduce((miss, p) => miss * (1 - p), 1))}`
+                    : odds.targets.map((t, i) => `${t.label} ${pct(cell.byTarget[i])}`).join(" · ")}
+                </div>
+              </div>
+            );
+          })}
         </div>
-      ))}
+      )}
+      <p style={{ color: C.textMuted, fontSize: 11, textAlign: "center", marginTop: 8 }}>
+        {game?.state === "in"
+          ? "Projected from the live score and time left."
+          : "Based on historical NFL score digits."} Estimates only.
+      </p>
     </div>
   );
 }
@@ -1476,26 +4523,95 @@ function WinDisplay({ pool, game }) {
 // ═══════════════════════════════════════════════════════════
 //  POOL DETAIL VIEW
 // ═══════════════════════════════════════════════════════════
-function PoolDetail({ pool, onBack, onUpdate, game }) {
+// The game a multi-game pool opens on: one in progress, else the next to
+// start, else the last played
+function pickCurrentGame(pool, games) {
+  const live = pool.games.find((g) => games[g.id]?.state === "in");
+  if (live) return live.id;
+  const upcoming = pool.games.find((g) => (Date.parse(g.startTime) || 0) > Date.now());
+  return (upcoming || pool.games[pool.games.length - 1]).id;
+}
+
+function PoolDetail({ pool: savedPool, onBack, onUpdate, onEdit, games, pollStatus }) {
+  const multi = isMultiGame(savedPool);
+  const [selectedGameId, setSelectedGameId] = useState(() => (multi ? pickCurrentGame(savedPool, games) : null));
+  const gameId = multi && savedPool.games.some((g) => g.id === selectedGameId)
+    ? selectedGameId : multi ? savedPool.games[0].id : savedPool.gameId;
+  // Scores, grid and odds work on one game; multi-game pools view the one picked
+  const pool = useMemo(() => (multi ? poolForGame(savedPool, gameId) : savedPool), [savedPool, multi, gameId]);
+  const game = gameId ? games[gameId] || null : null;
+  const save = (next) => onUpdate(mergeGameView(savedPool, next));
   const [tab, setTab] = useState("wins");
+  const [shareStatus, setShareStatus] = useState("");
+  const [gridView, setGridView] = useState("grid");
+  const sport = getSport(pool);
+  const axisLabels = getAxisLabels(sport);
+  const [gridPeriod, setGridPeriod] = useState(() => (game ? periodOfGame(game.period, sport) : "q1"));
+  const { rows, cols } = getGridSize(pool);
+  const axes = getPeriodAxes(pool, pool.redrawAxes ? gridPeriod : "q1");
+
+  const handleShare = async () => {
+    try {
+      const url = await buildShareUrl(savedPool);
+      if (navigator.share) {
+        await navigator.share({ title: savedPool.name, text: `Join "${savedPool.name}" on SB Squares`, url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied to clipboard");
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      setShareStatus(err?.message || "Could not create a share link");
+    }
+  };
 
   const handleManualScore = (q, idx, val) => {
     const parsed = val === "" ? null : parseInt(val, 10);
     if (val !== "" && isNaN(parsed)) return;
     const next = { ...pool, scores: { ...pool.scores } };
-    next.scores[q] = [...next.scores[q]];
-    next.scores[q][idx] = parsed;
-    onUpdate(next);
+    next.scores[q] = [...(next.scores[q] || [null, null])];
+    next.scores[q][getAxisSlot(pool, idx)] = parsed;
+    save(next);
   };
 
+  // Swapping which team runs along the columns keeps the drawn numbers with the
+  // grid and only changes which score each axis reads; wins are re-derived.
+  const swapAxisTeams = () => {
+    const flipped = { away: "home", home: "away", team: "opponent", opponent: "team" };
+    onUpdate({
+      ...savedPool,
+      columnsTeam: flipped[savedPool.columnsTeam] || "home",
+      team1: savedPool.team2, team2: savedPool.team1,
+      team1Full: savedPool.team2Full, team2Full: savedPool.team1Full,
+    });
+  };
+
+  // "main" for squares that won outright, "side" for reverse/touching prizes
+  const winningCells = useMemo(() => {
+    const cells = {};
+    getPoolWins(pool, game).forEach((w) => {
+      if (pool.redrawAxes && w.axisPeriod !== gridPeriod) return;
+      const key = `${w.cell.row}-${w.cell.col}`;
+      if (w.kind === "main") cells[key] = "main";
+      else if (!cells[key]) cells[key] = "side";
+    });
+    return cells;
+  }, [pool, game, gridPeriod]);
+  const hasSideWins = Object.values(winningCells).includes("side");
+  // The numbers each of my squares holds under the period being viewed
+  const myLiveNumbers = pool.redrawAxes ? pool.mySquares.flatMap((row, r) => row.flatMap((mine, c) => (
+    mine ? [`${formatHeader(axes.colNumbers?.[c]) || "?"}/${formatHeader(axes.rowNumbers?.[r]) || "?"}`] : []
+  ))) : [];
+
   const toggleSquare = (r, c) => {
     const next = { ...pool, mySquares: pool.mySquares.map((row) => [...row]) };
     next.mySquares[r][c] = !next.mySquares[r][c];
-    onUpdate(next);
+    if (pool.owners) next.owners = reconcileOwners(pool.owners, next.mySquares, pool.myName);
+    save(next);
   };
 
   const mineCount = pool.mySquares.flat().filter(Boolean).length;
-  const typeLabel = POOL_TYPES.find((t) => t.key === pool.type)?.label || pool.type;
+  const typeLabel = getTypeLabel(pool);
 
   return (
     <div style={{ minHeight: "100vh", background: C.bg, paddingBottom: 80 }}>
@@ -1513,7 +4629,8 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
         <div style={{ flex: 1 }}>
           <div style={{ color: C.text, fontWeight: 600, fontSize: 16 }}>{pool.name}</div>
           <div style={{ color: C.textDim, fontSize: 12 }}>
-            {pool.team1} vs {pool.team2} · {typeLabel}
+            {savedPool.team1} vs {savedPool.team2} · {typeLabel}
+            {multi && ` · ${savedPool.games.length} games`}
             {pool.buyIn > 0 && ` · $${pool.buyIn}`}
           </div>
         </div>
@@ -1523,7 +4640,26 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
         }}>
           {mineCount} squares
         </span>
+        <button onClick={handleShare} style={{
+          background: "none", border: `1px solid ${C.border}`, borderRadius: 8,
+          color: C.textDim, cursor: "pointer", padding: "4px 10px", fontSize: 12, fontWeight: 600,
+        }}>
+          Share
+        </button>
+        {onEdit && (
+          <button onClick={onEdit} style={{
+            background: "none", border: `1px solid ${C.border}`, borderRadius: 8,
+            color: C.textDim, cursor: "pointer", padding: "4px 10px", fontSize: 12, fontWeight: 600,
+          }}>
+            Edit
+          </button>
+        )}
       </div>
+      {shareStatus && (
+        <div style={{ color: C.textDim, fontSize: 12, textAlign: "center", padding: "6px 12px" }}>
+          {shareStatus}
+        </div>
+      )}
 
       {/* Tabs */}
       <div style={{ display: "flex", borderBottom: `1px solid ${C.border}` }}>
@@ -1543,16 +4679,30 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
         ))}
       </div>
 
-      {tab === "wins" && <WinDisplay pool={pool} game={game} />}
+      {multi && tab !== "wins" && (
+        <div style={{ display: "flex", gap: 6, overflowX: "auto", padding: "10px 12px 0" }}>
+          {savedPool.games.map((g) => (
+            <button key={g.id} onClick={() => setSelectedGameId(g.id)} style={{
+              flexShrink: 0, padding: "4px 10px", borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: "pointer",
+              border: g.id === gameId ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+              background: g.id === gameId ? "rgba(59,130,246,0.15)" : C.card, color: C.text,
+            }}>
+              {games[g.id]?.state === "in" ? "● " : ""}{getGameLabel(g)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tab === "wins" && <WinDisplay pool={savedPool} games={games} />}
       {tab === "scores" && (
-        <LiveScoreboard pool={pool} game={game} onManualScore={handleManualScore} />
+        <LiveScoreboard pool={pool} game={game} pollStatus={pollStatus} onManualScore={handleManualScore} />
       )}
       {tab === "grid" && (
         <div style={{ padding: 12 }}>
           {pool.photo && (
             (() => {
-              const gridW = pool.gridBounds?.w ?? pool.gridBounds?.size ?? 250;
-              const gridH = pool.gridBounds?.h ?? (pool.gridBounds?.size ?? 250) * A4.ratio;
+              const gridW = pool.gridBounds.w;
+              const gridH = pool.gridBounds.h;
               return (
             <div style={{
               position: "relative", overflow: "hidden", borderRadius: 12,
@@ -1563,16 +4713,21 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
                 position: "absolute",
                 left: pool.gridBounds.x, top: pool.gridBounds.y,
                 width: gridW, height: gridH,
-                display: "grid", gridTemplateColumns: "repeat(10, 1fr)",
-                gridTemplateRows: "repeat(10, 1fr)",
+                display: "grid",
+                gridTemplateColumns: edgeTemplate(gridEdges(pool.gridBounds, cols, "x")),
+                gridTemplateRows: edgeTemplate(gridEdges(pool.gridBounds, rows, "y")),
               }}>
-                {Array.from({ length: 10 }, (_, r) =>
-                  Array.from({ length: 10 }, (_, c) => (
+                {Array.from({ length: rows }, (_, r) =>
+                  Array.from({ length: cols }, (_, c) => (
                     <div key={`${r}-${c}`} onClick={() => toggleSquare(r, c)} style={{
-                      border: pool.mySquares[r][c]
+                      border: winningCells[`${r}-${c}`] === "main" ? `2px solid ${C.winnerBorder}`
+                        : winningCells[`${r}-${c}`] ? `2px dashed ${C.sideBorder}`
+                        : pool.mySquares[r][c]
                         ? "2px solid rgba(59,130,246,0.9)"
                         : "0.5px solid rgba(148,163,184,0.2)",
-                      background: pool.mySquares[r][c]
+                      background: winningCells[`${r}-${c}`] === "main" ? C.winner
+                        : winningCells[`${r}-${c}`] ? C.side
+                        : pool.mySquares[r][c]
                         ? "rgba(59,130,246,0.4)" : "transparent",
                       cursor: "pointer",
                     }} />
@@ -1584,58 +4739,117 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
             })()
           )}
 
-          {/* Clean grid view */}
-          <div style={{ overflowX: "auto" }}>
-            <div style={{ minWidth: 360 }}>
-              <div style={{ textAlign: "center", color: C.accent, fontWeight: 700, fontSize: 13, marginLeft: 32 }}>
-                {pool.team1}
-              </div>
-              <div style={{ display: "flex", marginLeft: 32 }}>
-                {Array.from({ length: 10 }, (_, i) => (
-                  <div key={i} style={{
-                    flex: 1, textAlign: "center", fontWeight: 700, fontSize: 12, padding: "2px 0 4px",
-                    color: pool.colNumbers?.[i] != null ? C.green : C.textMuted, minWidth: 32,
+          <div style={{ display: "flex", gap: 8, marginBottom: 10 }}>
+            {[{ key: "grid", label: "My Grid" }, { key: "odds", label: "Who's Alive" }].map((v) => (
+              <button key={v.key} onClick={() => setGridView(v.key)} style={{
+                flex: 1, padding: "8px 10px", borderRadius: 10, cursor: "pointer", fontSize: 12, fontWeight: 600,
+                border: gridView === v.key ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+                background: gridView === v.key ? "rgba(59,130,246,0.15)" : C.card, color: C.text,
+              }}>
+                {v.label}
+              </button>
+            ))}
+          </div>
+          {gridView === "odds" && <OddsPanel pool={pool} game={game} />}
+
+          {/* Re-drawn pools: pick which period's numbers to show */}
+          {gridView === "grid" && pool.redrawAxes && (
+            <div style={{ marginBottom: 10 }}>
+              <div style={{ display: "flex", gap: 6 }}>
+                {getAxisPeriods(sport).map((q) => (
+                  <button key={q} onClick={() => setGridPeriod(q)} style={{
+                    flex: 1, padding: "4px 8px", borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: "pointer",
+                    border: gridPeriod === q ? `2px solid ${C.gold}` : `1px solid ${C.border}`,
+                    background: gridPeriod === q ? "rgba(234,179,8,0.15)" : C.card, color: C.text,
                   }}>
-                    {pool.colNumbers?.[i] ?? "?"}
-                  </div>
+                    {axisLabels[q]}
+                  </button>
                 ))}
               </div>
-              {Array.from({ length: 10 }, (_, r) => (
-                <div key={r} style={{ display: "flex" }}>
-                  <div style={{
-                    width: 32, display: "flex", alignItems: "center", justifyContent: "center",
-                    color: pool.rowNumbers?.[r] != null ? C.green : C.textMuted,
-                    fontWeight: 700, fontSize: 12,
-                  }}>
-                    {pool.rowNumbers?.[r] ?? "?"}
+              <div style={{ color: C.textDim, fontSize: 12, marginTop: 6 }}>
+                {!axes.colNumbers || !axes.rowNumbers
+                  ? `${axisLabels[gridPeriod]} numbers haven't been drawn yet`
+                  : myLiveNumbers.length > 0
+                    ? `My numbers in ${axisLabels[gridPeriod]}: ${myLiveNumbers.join(", ")}`
+                    : "No squares selected"}
+              </div>
+            </div>
+          )}
+
+          {/* Clean grid view */}
+          {gridView === "grid" && (
+            <div style={{ overflowX: "auto" }}>
+              <div style={{ minWidth: 360 }}>
+                <div style={{ textAlign: "center", color: C.accent, fontWeight: 700, fontSize: 13, marginLeft: 32 }}>
+                  {pool.team1}
+                </div>
+                <div style={{ display: "flex", marginLeft: 32 }}>
+                  {Array.from({ length: cols }, (_, i) => (
+                    <div key={i} style={{
+                      flex: 1, textAlign: "center", fontWeight: 700, fontSize: 12, padding: "2px 0 4px",
+                      color: axes.colNumbers?.[i] != null ? C.green : C.textMuted, minWidth: 32,
+                    }}>
+                      {formatHeader(axes.colNumbers?.[i]) || "?"}
+                    </div>
+                  ))}
+                </div>
+                {Array.from({ length: rows }, (_, r) => (
+                  <div key={r} style={{ display: "flex" }}>
+                    <div style={{
+                      width: 32, display: "flex", alignItems: "center", justifyContent: "center",
+                      color: axes.rowNumbers?.[r] != null ? C.green : C.textMuted,
+                      fontWeight: 700, fontSize: 12,
+                    }}>
+                      {formatHeader(axes.rowNumbers?.[r]) || "?"}
+                    </div>
+                    {Array.from({ length: cols }, (_, c) => {
+                      const isMine = pool.mySquares[r][c];
+                      const isWinner = winningCells[`${r}-${c}`] === "main";
+                      const isSide = winningCells[`${r}-${c}`] === "side";
+                      return (
+                        <div key={c} onClick={() => toggleSquare(r, c)} style={{
+                          flex: 1, minWidth: 32, height: 32,
+                          border: isSide ? `1px dashed ${C.sideBorder}`
+                            : `1px solid ${isWinner ? C.winnerBorder : isMine ? C.mineBorder : C.border}`,
+                          background: isWinner ? C.winner : isSide ? C.side : isMine ? C.mine : C.bg,
+                          display: "flex", alignItems: "center", justifyContent: "center",
+                          cursor: "pointer", borderRadius: 2,
+                        }}>
+                          {isMine && <span style={{ color: isWinner ? C.gold : isSide ? C.orange : C.accent, fontSize: 9, fontWeight: 800 }}>ME</span>}
+                          {!isMine && pool.owners?.[r]?.[c] && (
+                            <span style={{
+                              color: isWinner ? C.gold : isSide ? C.orange : C.textDim, fontSize: 8, fontWeight: 600,
+                              overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap",
+                              maxWidth: "100%", padding: "0 2px",
+                            }}>
+                              {pool.owners[r][c]}
+                            </span>
+                          )}
+                        </div>
+                      );
+                    })}
                   </div>
-                  {Array.from({ length: 10 }, (_, c) => {
-                    const isMine = pool.mySquares[r][c];
-                    return (
-                      <div key={c} onClick={() => toggleSquare(r, c)} style={{
-                        flex: 1, minWidth: 32, height: 32,
-                        border: `1px solid ${isMine ? C.mineBorder : C.border}`,
-                        background: isMine ? C.mine : C.bg,
-                        display: "flex", alignItems: "center", justifyContent: "center",
-                        cursor: "pointer", borderRadius: 2,
-                      }}>
-                        {isMine && <span style={{ color: C.accent, fontSize: 9, fontWeight: 800 }}>ME</span>}
-                      </div>
-                    );
-                  })}
+                ))}
+                <div style={{
+                  color: C.accent, fontWeight: 700, fontSize: 13,
+                  writingMode: "vertical-rl", textOrientation: "mixed",
+                  position: "absolute", left: 4, top: "50%", transform: "translateY(-50%)",
+                }}>
                 </div>
-              ))}
-              <div style={{
-                color: C.accent, fontWeight: 700, fontSize: 13,
-                writingMode: "vertical-rl", textOrientation: "mixed",
-                position: "absolute", left: 4, top: "50%", transform: "translateY(-50%)",
-              }}>
               </div>
             </div>
-          </div>
-          <p style={{ color: C.textMuted, fontSize: 12, textAlign: "center", marginTop: 8 }}>
-            Tap squares to mark/unmark as yours
-          </p>
+          )}
+          {gridView === "grid" && (
+            <p style={{ color: C.textMuted, fontSize: 12, textAlign: "center", marginTop: 8 }}>
+              Tap squares to mark/unmark as yours
+              {hasSideWins && <><br /><span style={{ color: C.orange }}>Dashed orange: reverse / touching prize</span></>}
+            </p>
+          )}
+          {getLinkedGames(savedPool).length > 0 && (
+            <button style={{ ...btnStyle(C.border), width: "100%", marginTop: 4 }} onClick={swapAxisTeams}>
+              Swap teams: columns {savedPool.team2} · rows {savedPool.team1}
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -1645,9 +4859,178 @@ function PoolDetail({ pool, onBack, onUpdate, game }) {
 // ═══════════════════════════════════════════════════════════
 //  HOME SCREEN
 // ═══════════════════════════════════════════════════════════
-function HomeScreen({ pools, onSelect, onNewPool, onDelete }) {
+const REPLAY_SPEEDS = [1, 10, 60];
+
+function ReplayPanel({ pools, replay, onStart, onStop, onOpen }) {
+  const fileRef = useRef(null);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[1]);
+  const [poolId, setPoolId] = useState("");
+  const [error, setError] = useState("");
+  const target = pools.find((p) => p.id === poolId) || pools[0];
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !target) return;
+    try {
+      onStart(parseRecording(JSON.parse(await file.text())), speed, target);
+      setError("");
+    } catch (err) {
+      setError(err?.message || "Could not read that recording");
+    }
+  };
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 14, padding: 14, marginTop: 10,
+      border: `1px solid ${replay ? C.orange : C.border}`,
+    }}>
+      <div style={{ color: C.textDim, fontSize: 12, fontWeight: 600, marginBottom: 8 }}>
+        Rehearsal Replay {replay && <span style={{ color: C.orange }}>· playing {replay.recording.game.name || replay.recording.game.id}</span>}
+      </div>
+      <input ref={fileRef} type="file" accept="application/json,.json"
+        style={{ display: "none" }} onChange={handleFile} />
+      {!replay && (
+        <>
+          <select style={{ ...inputStyle, marginBottom: 8 }} value={target?.id || ""}
+            disabled={!pools.length} onChange={(e) => setPoolId(e.target.value)}>
+            {!pools.length && <option value="">Add a pool to rehearse it</option>}
+            {pools.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <div style={{ display: "flex", gap: 6, marginBottom: 8 }}>
+            {REPLAY_SPEEDS.map((x) => (
+              <button key={x} onClick={() => setSpeed(x)} style={{
+                flex: 1, padding: "6px 8px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontWeight: 600,
+                border: speed === x ? `2px solid ${C.accent}` : `1px solid ${C.border}`,
+                background: speed === x ? "rgba(59,130,246,0.15)" : C.card, color: C.text,
+              }}>
+                {x}x
+              </button>
+            ))}
+          </div>
+          <button style={{ ...btnStyle(C.border), width: "100%", opacity: target ? 1 : 0.4 }}
+            disabled={!target} onClick={() => fileRef.current?.click()}>
+            Load Game Recording
+          </button>
+        </>
+      )}
+      {replay && (
+        <div style={{ color: C.textMuted, fontSize: 12, marginBottom: 8 }}>
+          Rehearsing a copy of {replay.source}. Your saved pools and live scores carry on as usual.
+        </div>
+      )}
+      {replay && (
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={{ ...btnStyle(C.accentDark), flex: 1 }} onClick={onOpen}>
+            Open Rehearsal
+          </button>
+          <button style={{ ...btnStyle(C.red), flex: 1 }} onClick={onStop}>
+            Stop Replay
+          </button>
+        </div>
+      )}
+      {error && <div style={{ color: C.orange, fontSize: 12, marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
+
+function BackupPanel({ pools, onExport, onImport }) {
+  const fileRef = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [status, setStatus] = useState({ error: "", message: "" });
+
+  const finish = (incoming, strategy, skipped) => {
+    const { added, replaced } = mergePools(pools, incoming, strategy);
+    onImport(incoming, strategy);
+    setPending(null);
+    const parts = [`Added ${added} pool${added !== 1 ? "s" : ""}`];
+    if (replaced) parts.push(`${replaced} replaced`);
+    if (skipped) parts.push(`${skipped} unreadable skipped`);
+    setStatus({ error: "", message: parts.join(" · ") });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { pools: incoming, skipped } = parseBackup(JSON.parse(await file.text()));
+      const byId = new Map(pools.map((p) => [p.id, p]));
+      const conflicts = incoming.filter((p) => (
+        byId.has(p.id) && JSON.stringify(byId.get(p.id)) !== JSON.stringify(p)
+      ));
+      if (conflicts.length > 0) setPending({ incoming, skipped, conflicts });
+      else finish(incoming, "keep", skipped);
+    } catch (err) {
+      setStatus({ error: err?.message || "Could not read that file", message: "" });
+    }
+  };
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 14, padding: 14, marginTop: 16,
+      border: `1px solid ${C.border}`,
+    }}>
+      <div style={{ color: C.textDim, fontSize: 12, fontWeight: 600, marginBottom: 8 }}>Backup</div>
+      <input ref={fileRef} type="file" accept="application/json,.json"
+        style={{ display: "none" }} onChange={handleFile} />
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={{ ...btnStyle(C.border), flex: 1, opacity: pools.length ? 1 : 0.4 }}
+          disabled={!pools.length} onClick={onExport}>
+          Export Pools
+        </button>
+        <button style={{ ...btnStyle(C.border), flex: 1 }} onClick={() => fileRef.current?.click()}>
+          Import Backup
+        </button>
+      </div>
+      {pending && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ color: C.orange, fontSize: 12, marginBottom: 8 }}>
+            {pending.conflicts.length} pool{pending.conflicts.length !== 1 ? "s" : ""} in this backup
+            {" "}already exist{pending.conflicts.length === 1 ? "s" : ""} with different data.
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            {[
+              { key: "keep", label: "Keep Mine" },
+              { key: "replace", label: "Use Backup" },
+              { key: "both", label: "Keep Both" },
+            ].map((o) => (
+              <button key={o.key} style={{ ...btnStyle(C.accentDark), flex: 1, padding: "8px 6px", fontSize: 12 }}
+                onClick={() => finish(pending.incoming, o.key, pending.skipped)}>
+                {o.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {status.error && <div style={{ color: C.orange, fontSize: 12, marginTop: 8 }}>{status.error}</div>}
+      {status.message && <div style={{ color: C.green, fontSize: 12, marginTop: 8 }}>{status.message}</div>}
+    </div>
+  );
+}
+
+function HomeScreen({
+  pools, liveGames, onSelect, onNewPool, onDelete, onExport, onImport,
+  replay, onStartReplay, onStopReplay, onOpenReplay, pollStatus,
+}) {
+  const earnings = useMemo(() => {
+    const map = {};
+    pools.forEach((p) => { map[p.id] = getPoolEarnings(p, liveGames); });
+    return map;
+  }, [pools, liveGames]);
   const totalSquares = pools.reduce((s, p) => s + p.mySquares.flat().filter(Boolean).length, 0);
-  const totalInvested = pools.reduce((s, p) => s + (Number(p.buyIn) || 0), 0);
+  const totalInvested = pools.reduce((s, p) => s + earnings[p.id].cost, 0);
+  const totalNet = pools.reduce((s, p) => s + earnings[p.id].net, 0);
+  const [alertPermission, setAlertPermission] = useState(
+    "Notification" in window ? Notification.permission : "unsupported"
+  );
+  const enableAlerts = async () => {
+    try {
+      setAlertPermission(await Notification.requestPermission());
+    } catch {
+      setAlertPermission("denied");
+    }
+  };
 
   return (
     <div style={{ padding: "16px 16px 100px" }}>
@@ -1658,7 +5041,7 @@ function HomeScreen({ pools, onSelect, onNewPool, onDelete }) {
         </h1>
         <p style={{ color: C.textDim, fontSize: 14, margin: 0 }}>
           {pools.length === 0 ? "Add your first pool to get started" :
-            `${pools.length} pool${pools.length !== 1 ? "s" : ""} · ${totalSquares} squares · $${totalInvested} invested`}
+            `${pools.length} pool${pools.length !== 1 ? "s" : ""} · ${totalSquares} squares · ${formatMoney(totalInvested)} invested`}
         </p>
       </div>
 
@@ -1678,16 +5061,32 @@ function HomeScreen({ pools, onSelect, onNewPool, onDelete }) {
             </div>
             <div style={{ textAlign: "center" }}>
               <div style={{ color: "rgba(255,255,255,0.6)", fontSize: 11, fontWeight: 600, textTransform: "uppercase" }}>Invested</div>
-              <div style={{ color: "#fff", fontSize: 24, fontWeight: 700 }}>${totalInvested}</div>
+              <div style={{ color: "#fff", fontSize: 24, fontWeight: 700 }}>{formatMoney(totalInvested)}</div>
+            </div>
+            <div style={{ textAlign: "center" }}>
+              <div style={{ color: "rgba(255,255,255,0.6)", fontSize: 11, fontWeight: 600, textTransform: "uppercase" }}>Net</div>
+              <div style={{ color: totalNet >= 0 ? C.green : C.red, fontSize: 24, fontWeight: 700 }}>
+                {totalNet >= 0 ? "+" : ""}{formatMoney(totalNet)}
+              </div>
             </div>
           </div>
         </div>
       )}
 
+      {pools.some((p) => getLinkedGames(p).length) && <PollIndicator status={pollStatus} />}
+
+      {pools.some((p) => getLinkedGames(p).length) && alertPermission === "default" && (
+        <button style={{ ...btnStyle(C.accentDark), width: "100%", marginTop: 12 }} onClick={enableAlerts}>
+          🔔 Alert me when one of my squares wins
+        </button>
+      )}
+
       <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 16 }}>
         {pools.map((pool) => {
           const mineCount = pool.mySquares.flat().filter(Boolean).length;
-          const typeLabel = POOL_TYPES.find((t) => t.key === pool.type)?.label || "";
+          const typeLabel = getTypeLabel(pool);
+          const { won, net, wins } = earnings[pool.id];
+          const wonByPeriod = wins.filter((w) => w.isMine && w.amount > 0);
           return (
             <div key={pool.id} onClick={() => onSelect(pool.id)} style={{
               background: C.card, borderRadius: 14, padding: 16,
@@ -1720,18 +5119,39 @@ function HomeScreen({ pools, onSelect, onNewPool, onDelete }) {
                     padding: "3px 10px", fontSize: 12, fontWeight: 500,
                   }}>${pool.buyIn}</span>
                 )}
-                {pool.gameId && (
+                {getLinkedGames(pool).length > 0 && (
                   <span style={{
                     background: "rgba(249,115,22,0.15)", color: C.orange, borderRadius: 8,
                     padding: "3px 10px", fontSize: 12, fontWeight: 500,
-                  }}>Live linked</span>
+                  }}>{isMultiGame(pool) ? `${pool.games.length} games` : "Live linked"}</span>
+                )}
+                {pool.buyIn > 0 && (
+                  <span style={{
+                    background: net >= 0 ? "rgba(34,197,94,0.15)" : "rgba(239,68,68,0.15)",
+                    color: net >= 0 ? C.green : C.red, borderRadius: 8,
+                    padding: "3px 10px", fontSize: 12, fontWeight: 600,
+                  }}>Net {net >= 0 ? "+" : ""}{formatMoney(net)}</span>
                 )}
               </div>
+              {won > 0 && wonByPeriod.length <= 4 && (
+                <div style={{ color: C.gold, fontSize: 12, marginTop: 8 }}>
+                  {wonByPeriod.map((w) => `${w.quarter} ${formatMoney(w.amount)}`).join(" · ")}
+                </div>
+              )}
+              {won > 0 && wonByPeriod.length > 4 && (
+                <div style={{ color: C.gold, fontSize: 12, marginTop: 8 }}>
+                  {wonByPeriod.length} wins · {formatMoney(won)}
+                </div>
+              )}
             </div>
           );
         })}
       </div>
 
+      <BackupPanel pools={pools} onExport={onExport} onImport={onImport} />
+      <ReplayPanel pools={pools} replay={replay} onStart={onStartReplay} onStop={onStopReplay}
+        onOpen={onOpenReplay} />
+
       <button onClick={onNewPool} style={{
         position: "fixed", bottom: 24, right: 24,
         width: 56, height: 56, borderRadius: 28,
@@ -1750,18 +5170,44 @@ function HomeScreen({ pools, onSelect, onNewPool, onDelete }) {
 // ═══════════════════════════════════════════════════════════
 export default function App() {
   const [pools, setPools] = useState([]);
-  const [view, setView] = useState("home"); // home | wizard | detail
+  const [view, setView] = useState("home"); // home | wizard | detail | edit | rehearsal
   const [activePoolId, setActivePoolId] = useState(null);
   const [liveGames, setLiveGames] = useState({});
+  const [pollStatus, setPollStatus] = useState({ state: "idle", lastUpdated: null, failures: 0, nextAt: null });
   const [hydrated, setHydrated] = useState(false);
+  const [sharedPool, setSharedPool] = useState(null);
+  // { recording, speed, source, pool, game }: pool is the rehearsal copy
+  const [replay, setReplay] = useState(null);
+  const [notice, setNotice] = useState("");
+  const provider = espnProvider;
+  const persistedRef = useRef([]);
+  const saveChainRef = useRef(Promise.resolve());
+  const poolsRef = useRef(pools);
+  poolsRef.current = pools;
+  const replayRef = useRef(replay);
+  replayRef.current = replay;
 
   // Load pools from IndexedDB on first mount
   useEffect(() => {
     let alive = true;
     (async () => {
       try {
-        const saved = await idbGet(DB.poolsKey);
-        if (alive && Array.isArray(saved)) setPools(saved);
+        const saved = (await idbLoadPools()).map(migratePool);
+        if (alive) {
+          persistedRef.current = saved;
+          setPools(saved);
+          // A notification tapped with the app closed starts it at #pool=<id>
+          const prefix = `#${NOTIFY.hashKey}=`;
+          const { hash, pathname, search } = window.location;
+          if (hash.startsWith(prefix)) {
+            window.history.replaceState(null, "", pathname + search);
+            const id = decodeURIComponent(hash.slice(prefix.length));
+            if (saved.some((p) => p.id === id)) {
+              setActivePoolId(id);
+              setView("detail");
+            }
+          }
+        }
       } catch {
         // Non-fatal: fall back to empty in-memory state
       } finally {
@@ -1771,44 +5217,226 @@ export default function App() {
     return () => { alive = false; };
   }, []);
 
+  // Open a shared pool link (#share=...) in a pre-filled wizard
+  useEffect(() => {
+    const prefix = `#${SHARE.hashKey}=`;
+    const { hash, pathname, search } = window.location;
+    if (!hash.startsWith(prefix)) return;
+    window.history.replaceState(null, "", pathname + search);
+    decodeSharePayload(hash.slice(prefix.length))
+      .then((data) => {
+        setSharedPool(shareToTemplate(data));
+        setView("wizard");
+      })
+      .catch(() => setNotice("That share link couldn't be opened. It may be incomplete or damaged."));
+  }, []);
+
+  // An open tab hears about tapped notifications from the service worker
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const onMessage = (e) => {
+      if (e.data?.type !== NOTIFY.openMessage) return;
+      const id = e.data.poolId;
+      if (replayRef.current?.pool.id === id) {
+        setView("rehearsal");
+      } else if (poolsRef.current.some((p) => p.id === id)) {
+        setActivePoolId(id);
+        setView("detail");
+      }
+    };
+    sw.addEventListener("message", onMessage);
+    return () => sw.removeEventListener("message", onMessage);
+  }, []);
+
   // Persist pools to IndexedDB after hydration
   useEffect(() => {
     if (!hydrated) return;
-    idbSet(DB.poolsKey, pools).catch(() => {});
+    // Saves run one after another, each diffing against the last snapshot
+    // that reached the database, so a failed save is written again with the
+    // next change and overlapping saves can't skip a deletion
+    saveChainRef.current = saveChainRef.current
+      .then(() => idbSavePoolChanges(persistedRef.current, pools))
+      .then(
+        () => { persistedRef.current = pools; },
+        () => setNotice("Couldn't save your latest changes on this device. They'll be retried on your next edit."),
+      );
   }, [pools, hydrated]);
 
-  // Poll ESPN for live scores every 30s
+  // Poll ESPN for live scores on a schedule that follows the games' state
+  // and backs off when requests fail. A hidden tab pauses, or keeps polling
+  // at a slower rate when win notifications are allowed.
   useEffect(() => {
-    const gameIds = [...new Set(pools.filter((p) => p.gameId).map((p) => p.gameId))];
-    if (gameIds.length === 0) return;
+    const linked = pools.flatMap(getLinkedGames);
+    if (linked.length === 0) return;
+    // Games seen final drop out of later polls, so a season-long pool
+    // doesn't re-fetch every finished week
+    const finished = new Set();
+    let timer = null;
+    let failures = 0;
+    let stopped = false;
+    let resuming = false;
+
+    const canNotify = () => "Notification" in window && Notification.permission === "granted";
+    const paused = () => document.hidden && !canNotify();
+
+    const schedule = (delay) => {
+      clearTimeout(timer);
+      if (stopped || paused() || delay == null) return;
+      timer = setTimeout(poll, document.hidden ? Math.max(delay, POLL.hiddenMs) : delay);
+    };
 
     const poll = async () => {
-      const games = await fetchGames();
-      if (!games) return;
-      const map = {};
-      games.forEach((g) => { map[g.id] = g; });
-      setLiveGames(map);
+      if (stopped || paused()) return;
+      if (!navigator.onLine) {
+        setPollStatus((st) => ({ ...st, state: "offline", nextAt: null }));
+        return;
+      }
+      const active = linked.filter((l) => !finished.has(l.gameId));
+      const { games: map, ok } = await fetchLinkedGames(provider, active);
+      if (stopped) return;
+      if (!ok) {
+        failures += 1;
+        const delay = getBackoffDelay(failures, provider.liveMs);
+        setPollStatus((st) => ({
+          ...st, source: provider.label, state: "retrying", failures, nextAt: Date.now() + delay,
+        }));
+        schedule(delay);
+        return;
+      }
+      failures = 0;
+      const activeIds = [...new Set(active.map((l) => l.gameId))];
+      const delay = activeIds.length ? getPollDelay(activeIds.map((id) => map[id]), provider.liveMs) : null;
+      activeIds.forEach((id) => { if (map[id]?.state === "post") finished.add(id); });
+      setPollStatus({
+        source: provider.label,
+        state: delay == null ? "final" : "ok",
+        lastUpdated: Date.now(),
+        failures: 0,
+        nextAt: delay == null ? null : Date.now() + delay,
+        resumed: resuming,
+      });
+      resuming = false;
+      schedule(delay);
+      setLiveGames((prev) => ({ ...prev, ...map }));
+
+      // Work out new wins against the last rendered pools, then apply the
+      // same update inside the state setter so concurrent edits aren't lost
+      const events = collectWinEvents(poolsRef.current, map);
+      const notified = {};
+      events.forEach((e) => {
+        notified[e.poolId] = [...(notified[e.poolId] || []), e.key];
+      });
 
       // Auto-update scores for pools with live games
       setPools((prev) => prev.map((pool) => {
-        if (!pool.gameId || !map[pool.gameId]) return pool;
-        const game = map[pool.gameId];
-        const qs = getQuarterScores(game);
-        const newScores = { ...pool.scores };
-        QUARTERS.forEach((q) => {
-          if (qs[q]) newScores[q] = qs[q];
-        });
-        return { ...pool, scores: newScores };
+        if (!getLinkedGames(pool).some((l) => map[l.gameId])) return pool;
+        const next = applyLiveGames(pool, map);
+        if (!notified[pool.id]) return next;
+        return { ...next, notifiedWins: [...new Set([...(pool.notifiedWins || []), ...notified[pool.id]])] };
       }));
+      events.filter((e) => !e.quiet).forEach((e) => showNotification(e.title, {
+        body: e.body, tag: e.tag, icon: BRAND.logo, data: { poolId: e.poolId },
+      }));
+    };
+
+    const onVisibility = () => {
+      if (!document.hidden) {
+        clearTimeout(timer);
+        poll();
+        return;
+      }
+      if (canNotify()) return;
+      clearTimeout(timer);
+      setPollStatus((st) => ({ ...st, state: "paused", nextAt: null }));
+    };
+
+    // Keep manual scoring usable without signal and catch up as soon as
+    // the connection comes back
+    const onOffline = () => {
+      clearTimeout(timer);
+      setPollStatus((st) => ({ ...st, state: "offline", nextAt: null }));
+    };
+    const onOnline = () => {
+      failures = 0;
+      resuming = true;
+      setPollStatus((st) => ({ ...st, state: "syncing", nextAt: null }));
+      poll();
     };
 
+    document.addEventListener("visibilitychange", onVisibility);
+    window.addEventListener("offline", onOffline);
+    window.addEventListener("online", onOnline);
     poll();
-    const interval = setInterval(poll, 30000);
-    return () => clearInterval(interval);
-  }, [pools.map((p) => p.gameId).join(",")]);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("offline", onOffline);
+      window.removeEventListener("online", onOnline);
+    };
+  }, [pools.flatMap(getLinkedGames).map((l) => `${l.sport}:${l.gameId}@${l.gameDate || ""}`).join(","), provider]);
+
+  // Team-rule pools check the schedule once per launch for newly added games
+  const rulePoolIds = pools.filter((p) => p.gameRule).map((p) => p.id).join(",");
+  useEffect(() => {
+    if (!hydrated || !rulePoolIds) return;
+    let alive = true;
+    (async () => {
+      const found = {};
+      for (const pool of poolsRef.current.filter((p) => p.gameRule)) {
+        const games = await resolveRuleGames(provider, pool.gameRule, pool.sport);
+        if (games) found[pool.id] = games;
+      }
+      if (!alive) return;
+      setPools((prev) => prev.map((pool) => {
+        const games = found[pool.id];
+        if (!games) return pool;
+        const known = new Set((pool.games || []).map((g) => g.id));
+        // New games share the pot with the unfinished ones (getOpenPotShare)
+        const added = games.filter((g) => !known.has(g.id));
+        if (!added.length) return pool;
+        const merged = [...(pool.games || []), ...added];
+        return { ...pool, games: merged.sort((a, b) => (Date.parse(a.startTime) || 0) - (Date.parse(b.startTime) || 0)) };
+      }));
+    })();
+    return () => { alive = false; };
+  }, [hydrated, rulePoolIds, provider]);
+
+  // Play a recording into the rehearsal copy, with the same win
+  // notifications a live game would fire
+  useEffect(() => {
+    if (!replay) return;
+    const replayProvider = createReplayProvider(replay.recording, replay.speed);
+    const { id } = replay.recording.game;
+    let timer = null;
+    let stopped = false;
+    const tick = async () => {
+      const game = await replayProvider.fetchGame(id);
+      if (stopped || !replayRef.current) return;
+      const map = { [id]: game };
+      const events = collectWinEvents([replayRef.current.pool], map);
+      const keys = events.map((e) => e.key);
+      setReplay((r) => r && {
+        ...r,
+        game,
+        pool: { ...applyLiveGames(r.pool, map), notifiedWins: [...new Set([...(r.pool.notifiedWins || []), ...keys])] },
+      });
+      events.filter((e) => !e.quiet).forEach((e) => showNotification(e.title, {
+        body: e.body, tag: e.tag, icon: BRAND.logo, data: { poolId: e.poolId },
+      }));
+      if (game.state !== "post") timer = setTimeout(tick, replayProvider.liveMs);
+    };
+    tick();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [replay?.recording, replay?.speed]);
 
   const addPool = useCallback((pool) => {
     setPools((prev) => [...prev, pool]);
+    setSharedPool(null);
     setView("home");
   }, []);
 
@@ -1824,8 +5452,18 @@ export default function App() {
     setPools((prev) => prev.map((p) => (p.id === updated.id ? updated : p)));
   }, []);
 
+  const exportPools = useCallback(() => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(`sb-squares-backup-${date}.json`, createBackup(pools));
+  }, [pools]);
+
+  const importPools = useCallback((incoming, strategy) => {
+    setPools((prev) => mergePools(prev, incoming, strategy).pools);
+  }, []);
+
   const activePool = pools.find((p) => p.id === activePoolId);
-  const activeGame = activePool?.gameId ? liveGames[activePool.gameId] : null;
+  // Offline, a linked pool falls back to its saved scores and manual entry
+  const detailGames = pollStatus.state !== "offline" ? liveGames : {};
 
   return (
     <div style={{
@@ -1835,22 +5473,59 @@ export default function App() {
       display: "flex", flexDirection: "column",
     }}>
       <BrandHeader />
+      {notice && (
+        <div style={{
+          margin: "8px 16px 0", padding: "10px 12px", borderRadius: 10,
+          background: C.card, border: `1px solid ${C.orange}`,
+          display: "flex", alignItems: "center", gap: 8,
+        }}>
+          <span style={{ flex: 1, color: C.orange, fontSize: 13 }}>{notice}</span>
+          <button style={{ background: "none", border: "none", color: C.textDim, cursor: "pointer" }}
+            onClick={() => setNotice("")}>✕</button>
+        </div>
+      )}
       <div style={{ flex: 1 }}>
         {view === "home" && (
-          <HomeScreen pools={pools}
+          <HomeScreen pools={pools} liveGames={liveGames}
             onSelect={(id) => { setActivePoolId(id); setView("detail"); }}
             onNewPool={() => setView("wizard")}
             onDelete={deletePool}
+            onExport={exportPools}
+            onImport={importPools}
+            replay={replay}
+            onStartReplay={(recording, speed, pool) => setReplay({
+              recording, speed, source: pool.name, pool: toRehearsalPool(pool, recording), game: null,
+            })}
+            onStopReplay={() => setReplay(null)}
+            onOpenReplay={() => setView("rehearsal")}
+            pollStatus={pollStatus}
           />
         )}
         {view === "wizard" && (
-          <NewPoolWizard onCancel={() => setView("home")} onSave={addPool} />
+          <NewPoolWizard key={sharedPool ? "shared" : "new"} template={sharedPool} provider={provider}
+            onCancel={() => { setSharedPool(null); setView("home"); }} onSave={addPool} />
         )}
         {view === "detail" && activePool && (
           <PoolDetail pool={activePool}
             onBack={() => { setActivePoolId(null); setView("home"); }}
             onUpdate={updatePool}
-            game={activeGame}
+            onEdit={() => setView("edit")}
+            games={detailGames}
+            pollStatus={pollStatus}
+          />
+        )}
+        {view === "rehearsal" && replay && (
+          <PoolDetail pool={replay.pool}
+            onBack={() => setView("home")}
+            onUpdate={(p) => setReplay((r) => r && { ...r, pool: p })}
+            games={replay.game ? { [replay.game.id]: replay.game } : {}}
+            pollStatus={null}
+          />
+        )}
+        {view === "edit" && activePool && (
+          <NewPoolWizard pool={activePool} provider={provider}
+            onCancel={() => setView("detail")}
+            onSave={(p) => { updatePool(p); setView("detail"); }}
           />
         )}
       </div>
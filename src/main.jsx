@@ -9,3 +9,10 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <Analytics />
   </React.StrictMode>,
 )
+
+// Cache the app shell and OCR assets so pools work without signal
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {})
+  })
+}
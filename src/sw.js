@@ -0,0 +1,85 @@
+/* Service worker template. The build fills in the asset lists (see the
+   pwa plugin in vite.config.js) and emits it as /sw.js. */
+const VERSION = __CACHE_VERSION__;
+const SHELL_CACHE = `shell-${VERSION}`;
+const OCR_CACHE = "ocr-" + __OCR_VERSION__;
+const SHELL_ASSETS = __SHELL_ASSETS__;
+const OCR_ASSETS = __OCR_ASSETS__;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_ASSETS);
+    // OCR files are large and rarely change, so they live in their own
+    // cache and are only fetched when missing. A failed download doesn't
+    // block the install; the fetch handler fills the gap on first use.
+    const ocr = await caches.open(OCR_CACHE);
+    await Promise.all(OCR_ASSETS.map(async (url) => {
+      if (!(await ocr.match(url))) await ocr.add(url).catch(() => {});
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter((k) => k !== SHELL_CACHE && k !== OCR_CACHE)
+      .map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Pages: network first so deploys show up, cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          const copy = res.clone();
+          caches.open(SHELL_CACHE).then((c) => c.put("/", copy));
+          return res;
+        })
+        .catch(() => caches.match("/"))
+    );
+    return;
+  }
+
+  // Everything precached (app bundle, logo, OCR) is served cache first.
+  // Live score requests fall through to the network untouched.
+  const key = url.origin === self.location.origin ? url.pathname : request.url;
+  if (SHELL_ASSETS.includes(key)) {
+    event.respondWith(caches.match(key).then((hit) => hit || fetch(request)));
+  } else if (OCR_ASSETS.includes(key)) {
+    event.respondWith(caches.open(OCR_CACHE).then(async (cache) => {
+      const hit = await cache.match(key);
+      if (hit) return hit;
+      const res = await fetch(request);
+      if (res.ok) cache.put(key, res.clone());
+      return res;
+    }));
+  }
+});
+
+// Tapping a win notification brings the app forward on that pool, or opens
+// it at #pool=<id> when no window is left. The message and hash match
+// NOTIFY in App.jsx.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const poolId = event.notification.data?.poolId;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find((c) => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      if (poolId) client.postMessage({ type: "open-pool", poolId });
+      return;
+    }
+    await self.clients.openWindow(poolId ? `/#pool=${encodeURIComponent(poolId)}` : "/");
+  })());
+});
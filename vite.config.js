@@ -1,10 +1,81 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
-import pkg from './package.json' assert { type: 'json' }
+import fs from 'node:fs'
+import { createRequire } from 'node:module'
+import path from 'node:path'
+
+const require = createRequire(import.meta.url)
+const pkg = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
+
+// Tesseract's worker and LSTM cores are served from our own origin so the
+// service worker can precache them. The core variant is picked at runtime
+// from the device's SIMD support, so all three ship.
+const OCR_ASSETS = {
+  dir: 'tesseract',
+  langPath: 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int',
+  langFile: 'eng.traineddata.gz',
+}
+const OCR_FILES = {
+  'worker.min.js': require.resolve('tesseract.js/dist/worker.min.js'),
+  ...Object.fromEntries(
+    ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js', 'tesseract-core-relaxedsimd-lstm.wasm.js']
+      .map((f) => [f, path.join(path.dirname(require.resolve('tesseract.js-core/package.json')), f)]),
+  ),
+}
+const PUBLIC_SHELL = ['/', '/manifest.webmanifest', '/PixelLoftStudioLogo.png']
+
+function pwa() {
+  return {
+    name: 'sb-squares-pwa',
+    configureServer(server) {
+      server.middlewares.use(`/${OCR_ASSETS.dir}/`, (req, res, next) => {
+        const file = OCR_FILES[req.url.slice(1).split('?')[0]]
+        if (!file) return next()
+        res.setHeader('Content-Type', 'text/javascript')
+        fs.createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle(_, bundle) {
+      const shell = [...PUBLIC_SHELL, ...Object.keys(bundle).filter((f) => f !== 'index.html').map((f) => `/${f}`)]
+      const ocr = [
+        ...Object.keys(OCR_FILES).map((f) => `/${OCR_ASSETS.dir}/${f}`),
+        `${OCR_ASSETS.langPath}/${OCR_ASSETS.langFile}`,
+      ]
+      const build = Object.keys(bundle).filter((f) => f.startsWith('assets/')).sort().join('|')
+      const source = fs.readFileSync(path.resolve('src/sw.js'), 'utf8')
+        .replace('__CACHE_VERSION__', JSON.stringify(`${pkg.version}-${hash(build)}`))
+        .replace('__SHELL_ASSETS__', JSON.stringify(shell))
+        .replace('__OCR_ASSETS__', JSON.stringify(ocr))
+        .replace('__OCR_VERSION__', JSON.stringify(ocrVersion(ocr)))
+      Object.entries(OCR_FILES).forEach(([name, file]) => {
+        this.emitFile({ type: 'asset', fileName: `${OCR_ASSETS.dir}/${name}`, source: fs.readFileSync(file) })
+      })
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+// The OCR cache survives app deploys, so its key covers everything it holds:
+// both tesseract packages and every asset URL (including the language path)
+function ocrVersion(urls) {
+  const versions = ['tesseract.js', 'tesseract.js-core'].map((name) => require(`${name}/package.json`).version)
+  return `${versions.join('-')}-${hash(urls.join('|'))}`
+}
+
+function hash(str) {
+  let h = 0
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) | 0
+  return (h >>> 0).toString(36)
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwa()],
   define: {
     __APP_VERSION__: JSON.stringify(pkg.version),
+    __OCR_ASSETS__: JSON.stringify({
+      workerPath: `/${OCR_ASSETS.dir}/worker.min.js`,
+      corePath: `/${OCR_ASSETS.dir}`,
+      langPath: OCR_ASSETS.langPath,
+    }),
   },
 })